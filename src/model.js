@@ -70,14 +70,29 @@ var Model = (function () {
   var envStack = [];
   var env = {};
 
+  // Each environment has its own table of macros.
+  var macroStack = [];
+  var macros = {};
+
   Model.pushEnv = function pushEnv(e) {
     envStack.push(env);
+    macroStack.push(macros);
     Model.env = env = e;
+    macros = {};
   }
 
   Model.popEnv = function popEnv() {
     assert(envStack.length > 0, "Empty envStack");
     Model.env = env = envStack.pop();
+    macros = macroStack.pop();
+  }
+
+  // Define a macro in the current environment, as in
+  // Model.defineMacro("\\R", "\\mathbb{R}") or
+  // Model.defineMacro("\\norm", "\\left\\|#1\\right\\|", 1).
+  Model.defineMacro = function defineMacro(name, body, nargs) {
+    assert(/^\\[a-zA-Z]+$/.test(name), message(1013, [name]));
+    macros[name] = {body: body, nargs: nargs || 0};
   }
 
   function isChemCore() {
@@ -98,6 +113,11 @@ var Model = (function () {
   Assert.messages[1007] = "Unexpected character: '%1' in '%2'.";
   Assert.messages[1008] = "The same character '%1' is being used as a thousands and decimal separators.";
   Assert.messages[1009] = "Missing argument for '%1' command.";
+  Assert.messages[1010] = "Environment '%1' ended by '%2'.";
+  Assert.messages[1011] = "Matrix row %1 has %2 columns, %3 expected.";
+  Assert.messages[1012] = "Too many expansions of macro '%1'.";
+  Assert.messages[1013] = "Invalid macro name '%1'.";
+  Assert.messages[1014] = "Invalid digit in number '%1'.";
   var message = Assert.message;
 
   // Create a model from a node object or expression string
@@ -165,9 +185,10 @@ var Model = (function () {
     return this.create(src);
   }
 
-  // Render LaTex from the model node.
+  // Render LaTex from the model node. Percent signs are escaped if the source
+  // was scanned with comments.
   Mp.toLaTex = function toLaTex(node) {
-    return render(node);
+    return render(node, {escapePercent: !!node.isCommentMode});
   }
 
   var OpStr = {
@@ -190,6 +211,40 @@ var Model = (function () {
     ARCSIN: "arcsin",
     ARCCOS: "arccos",
     ARCTAN: "arctan",
+    ARCSEC: "arcsec",
+    ARCCSC: "arccsc",
+    ARCCOT: "arccot",
+    SINH: "sinh",
+    COSH: "cosh",
+    TANH: "tanh",
+    COTH: "coth",
+    SECH: "sech",
+    CSCH: "csch",
+    GCD: "gcd",
+    MAX: "max",
+    MIN: "min",
+    ARG: "arg",
+    OPERATORNAME: "operatorname",
+    FLOOR: "floor",
+    CEIL: "ceil",
+    NORM: "norm",
+    TUPLE: "tuple",
+    INNERPRODUCT: "innerproduct",
+    EQUIV: "equiv",
+    CONGRUENCE: "congruence",
+    MOD: "mod",
+    SIM: "sim",
+    SIMEQ: "simeq",
+    CONG: "cong",
+    PROPTO: "propto",
+    PARALLEL: "parallel",
+    PERP: "perp",
+    LL: "ll",
+    GG: "gg",
+    NLESS: "nless",
+    NGTR: "ngtr",
+    ELLIPSIS: "ellipsis",
+    SEQUENCE: "sequence",
     LOG: "log",
     LN: "ln",
     LG: "lg",
@@ -218,6 +273,9 @@ var Model = (function () {
     TO: "to",
     SUM: "sum",
     INT: "int",
+    IINT: "iint",
+    IIINT: "iiint",
+    OINT: "oint",
     PROD: "prod",
     PERCENT: "%",
     M: "M",
@@ -232,9 +290,58 @@ var Model = (function () {
     OVERSET: "overset",
     UNDERSET: "underset",
     OVERLINE: "overline",
+    ACCENT: "accent",
+    BOXED: "boxed",
+    CANCEL: "cancel",
+    BCANCEL: "bcancel",
+    COLOR: "color",
+    TEXTCOLOR: "textcolor",
+    UNDERBRACE: "underbrace",
+    OVERBRACE: "overbrace",
+    PHANTOM: "phantom",
+    REACTION: "reaction",
+    SPECIES: "species",
+    HYDRATE: "hydrate",
+    RE: "re",
+    IM: "im",
+    CIS: "cis",
+    CONJUGATE: "conjugate",
+    ANGLE: "angle",
+    MEASURE: "measure",
+    TRIANGLE: "triangle",
+    SEGMENT: "segment",
+    LINE: "line",
+    RAY: "ray",
+    DMS: "dms",
+    QUANTITY: "quantity",
+    CURRENCY: "currency",
     DEGREE: "degree",
     BACKSLASH: "backslash",
     MATHBF: "mathbf",
+    DERIV: "deriv",
+    PIECEWISE: "piecewise",
+    DET: "det",
+    CUP: "cup",
+    CAP: "cap",
+    SETMINUS: "setminus",
+    COMPLEMENT: "complement",
+    SUBSET: "subset",
+    SUBSETEQ: "subseteq",
+    SUPSET: "supset",
+    SUPSETEQ: "supseteq",
+    NOTIN: "notin",
+    EMPTYSET: "emptyset",
+    SET: "set",
+    SETBUILDER: "setbuilder",
+    AND: "and",
+    OR: "or",
+    NOT: "not",
+    IMPLIES: "implies",
+    IFF: "iff",
+    THEREFORE: "therefore",
+    APPLY: "apply",
+    OTHERWISE: "otherwise",
+    PDERIV: "pderiv",
     NONE: "none"
   };
 
@@ -242,6 +349,59 @@ var Model = (function () {
     Model[v] = OpStr[v];
   });
 
+  // Built-in symbols. Variants name the symbol they are a variant of, so that
+  // \varphi can be treated as \phi with the 'ignoreSymbolVariants' option.
+  Model.symbols = {};
+  Model.symbols["\\alpha"] = {name: "alpha", category: "greek", unicode: "\u03b1"};
+  Model.symbols["\\beta"] = {name: "beta", category: "greek", unicode: "\u03b2"};
+  Model.symbols["\\gamma"] = {name: "gamma", category: "greek", unicode: "\u03b3"};
+  Model.symbols["\\delta"] = {name: "delta", category: "greek", unicode: "\u03b4"};
+  Model.symbols["\\epsilon"] = {name: "epsilon", category: "greek", unicode: "\u03f5"};
+  Model.symbols["\\varepsilon"] = {name: "varepsilon", category: "greek", unicode: "\u03b5", variantOf: "\\epsilon"};
+  Model.symbols["\\zeta"] = {name: "zeta", category: "greek", unicode: "\u03b6"};
+  Model.symbols["\\eta"] = {name: "eta", category: "greek", unicode: "\u03b7"};
+  Model.symbols["\\theta"] = {name: "theta", category: "greek", unicode: "\u03b8"};
+  Model.symbols["\\vartheta"] = {name: "vartheta", category: "greek", unicode: "\u03d1", variantOf: "\\theta"};
+  Model.symbols["\\iota"] = {name: "iota", category: "greek", unicode: "\u03b9"};
+  Model.symbols["\\kappa"] = {name: "kappa", category: "greek", unicode: "\u03ba"};
+  Model.symbols["\\varkappa"] = {name: "varkappa", category: "greek", unicode: "\u03f0", variantOf: "\\kappa"};
+  Model.symbols["\\lambda"] = {name: "lambda", category: "greek", unicode: "\u03bb"};
+  Model.symbols["\\mu"] = {name: "mu", category: "greek", unicode: "\u03bc"};
+  Model.symbols["\\nu"] = {name: "nu", category: "greek", unicode: "\u03bd"};
+  Model.symbols["\\xi"] = {name: "xi", category: "greek", unicode: "\u03be"};
+  Model.symbols["\\pi"] = {name: "pi", category: "greek", unicode: "\u03c0"};
+  Model.symbols["\\varpi"] = {name: "varpi", category: "greek", unicode: "\u03d6", variantOf: "\\pi"};
+  Model.symbols["\\rho"] = {name: "rho", category: "greek", unicode: "\u03c1"};
+  Model.symbols["\\varrho"] = {name: "varrho", category: "greek", unicode: "\u03f1", variantOf: "\\rho"};
+  Model.symbols["\\sigma"] = {name: "sigma", category: "greek", unicode: "\u03c3"};
+  Model.symbols["\\varsigma"] = {name: "varsigma", category: "greek", unicode: "\u03c2", variantOf: "\\sigma"};
+  Model.symbols["\\tau"] = {name: "tau", category: "greek", unicode: "\u03c4"};
+  Model.symbols["\\upsilon"] = {name: "upsilon", category: "greek", unicode: "\u03c5"};
+  Model.symbols["\\phi"] = {name: "phi", category: "greek", unicode: "\u03d5"};
+  Model.symbols["\\varphi"] = {name: "varphi", category: "greek", unicode: "\u03c6", variantOf: "\\phi"};
+  Model.symbols["\\chi"] = {name: "chi", category: "greek", unicode: "\u03c7"};
+  Model.symbols["\\psi"] = {name: "psi", category: "greek", unicode: "\u03c8"};
+  Model.symbols["\\omega"] = {name: "omega", category: "greek", unicode: "\u03c9"};
+  Model.symbols["\\Gamma"] = {name: "Gamma", category: "greek", unicode: "\u0393"};
+  Model.symbols["\\Delta"] = {name: "Delta", category: "greek", unicode: "\u0394"};
+  Model.symbols["\\Theta"] = {name: "Theta", category: "greek", unicode: "\u0398"};
+  Model.symbols["\\Lambda"] = {name: "Lambda", category: "greek", unicode: "\u039b"};
+  Model.symbols["\\Xi"] = {name: "Xi", category: "greek", unicode: "\u039e"};
+  Model.symbols["\\Pi"] = {name: "Pi", category: "greek", unicode: "\u03a0"};
+  Model.symbols["\\Sigma"] = {name: "Sigma", category: "greek", unicode: "\u03a3"};
+  Model.symbols["\\Upsilon"] = {name: "Upsilon", category: "greek", unicode: "\u03a5"};
+  Model.symbols["\\Phi"] = {name: "Phi", category: "greek", unicode: "\u03a6"};
+  Model.symbols["\\Psi"] = {name: "Psi", category: "greek", unicode: "\u03a8"};
+  Model.symbols["\\Omega"] = {name: "Omega", category: "greek", unicode: "\u03a9"};
+  Model.symbols["\\hbar"] = {name: "hbar", category: "letterlike", unicode: "\u210f"};
+  Model.symbols["\\ell"] = {name: "ell", category: "letterlike", unicode: "\u2113"};
+  Model.symbols["\\wp"] = {name: "wp", category: "letterlike", unicode: "\u2118"};
+  Model.symbols["\\imath"] = {name: "imath", category: "letterlike", unicode: "\u0131"};
+  Model.symbols["\\jmath"] = {name: "jmath", category: "letterlike", unicode: "\u0237"};
+  Model.symbols["\\aleph"] = {name: "aleph", category: "hebrew", unicode: "\u2135"};
+  Model.symbols["\\beth"] = {name: "beth", category: "hebrew", unicode: "\u2136"};
+  Model.symbols["\\gimel"] = {name: "gimel", category: "hebrew", unicode: "\u2137"};
+
   var OpToLaTeX = {};
   OpToLaTeX[OpStr.ADD] = "+";
   OpToLaTeX[OpStr.SUB] = "-";
@@ -262,24 +422,136 @@ var Model = (function () {
   OpToLaTeX[OpStr.SEC] = "\\sec";
   OpToLaTeX[OpStr.COT] = "\\cot";
   OpToLaTeX[OpStr.CSC] = "\\csc";
+  OpToLaTeX[OpStr.ARCSEC] = "\\arcsec";
+  OpToLaTeX[OpStr.ARCCSC] = "\\arccsc";
+  OpToLaTeX[OpStr.ARCCOT] = "\\arccot";
+  OpToLaTeX[OpStr.SINH] = "\\sinh";
+  OpToLaTeX[OpStr.COSH] = "\\cosh";
+  OpToLaTeX[OpStr.TANH] = "\\tanh";
+  OpToLaTeX[OpStr.COTH] = "\\coth";
+  OpToLaTeX[OpStr.SECH] = "\\sech";
+  OpToLaTeX[OpStr.CSCH] = "\\csch";
+  OpToLaTeX[OpStr.EXP] = "\\exp";
+  OpToLaTeX[OpStr.DET] = "\\det";
+  OpToLaTeX[OpStr.GCD] = "\\gcd";
+  OpToLaTeX[OpStr.MAX] = "\\max";
+  OpToLaTeX[OpStr.MIN] = "\\min";
+  OpToLaTeX[OpStr.ARG] = "\\arg";
   OpToLaTeX[OpStr.LN] = "\\ln";
   OpToLaTeX[OpStr.COMMA] = ",";
   OpToLaTeX[OpStr.M] = "\\M";
   OpToLaTeX[OpStr.BINOM] = "\\binom";
   OpToLaTeX[OpStr.COLON] = "\\colon";
+  OpToLaTeX[OpStr.LT] = "<";
+  OpToLaTeX[OpStr.LE] = "\\le";
+  OpToLaTeX[OpStr.GT] = ">";
+  OpToLaTeX[OpStr.GE] = "\\ge";
+  OpToLaTeX[OpStr.NE] = "\\ne";
+  OpToLaTeX[OpStr.APPROX] = "\\approx";
+  OpToLaTeX[OpStr.IN] = "\\in";
+  OpToLaTeX[OpStr.NOTIN] = "\\notin";
+  OpToLaTeX[OpStr.SUBSET] = "\\subset";
+  OpToLaTeX[OpStr.SUBSETEQ] = "\\subseteq";
+  OpToLaTeX[OpStr.SUPSET] = "\\supset";
+  OpToLaTeX[OpStr.SUPSETEQ] = "\\supseteq";
+  OpToLaTeX[OpStr.CUP] = "\\cup";
+  OpToLaTeX[OpStr.CAP] = "\\cap";
+  OpToLaTeX[OpStr.SETMINUS] = "\\setminus";
+  OpToLaTeX[OpStr.SIM] = "\\sim";
+  OpToLaTeX[OpStr.SIMEQ] = "\\simeq";
+  OpToLaTeX[OpStr.CONG] = "\\cong";
+  OpToLaTeX[OpStr.PROPTO] = "\\propto";
+  OpToLaTeX[OpStr.PARALLEL] = "\\parallel";
+  OpToLaTeX[OpStr.PERP] = "\\perp";
+  OpToLaTeX[OpStr.LL] = "\\ll";
+  OpToLaTeX[OpStr.GG] = "\\gg";
+  OpToLaTeX[OpStr.NLESS] = "\\nless";
+  OpToLaTeX[OpStr.NGTR] = "\\ngtr";
+  OpToLaTeX[OpStr.EQUIV] = "\\equiv";
+  OpToLaTeX[OpStr.CONGRUENCE] = "\\equiv";
+  OpToLaTeX[OpStr.MOD] = "\\bmod";
+  OpToLaTeX[OpStr.AND] = "\\land";
+  OpToLaTeX[OpStr.OR] = "\\lor";
+  OpToLaTeX[OpStr.NOT] = "\\neg";
+  OpToLaTeX[OpStr.IMPLIES] = "\\implies";
+  OpToLaTeX[OpStr.IFF] = "\\iff";
+  OpToLaTeX[OpStr.THEREFORE] = "\\therefore";
+
+  // Drop the invisible terms of a sum or product, as in 'x \phantom{+1}'.
+  function dropPhantoms(node) {
+    if (node.op !== OpStr.MUL && node.op !== OpStr.ADD) {
+      return node;
+    }
+    var args = filter(node.args, function (n) {
+      return n.op !== OpStr.PHANTOM;
+    });
+    if (args.length === node.args.length || args.length === 0) {
+      return node;
+    } else if (args.length === 1) {
+      return args[0];
+    }
+    // Copy the node's own attributes onto a plain node so that it serializes.
+    var copy = {op: node.op, args: args};
+    forEach(keys(node), function (k) {
+      if (k !== "op" && k !== "args") {
+        copy[k] = node[k];
+      }
+    });
+    return copy;
+  }
+
+  // Return the remainder of the integer written with 'digits' divided by 'n'.
+  // Work one digit at a time so that integers beyond 2^53 stay exact.
+  function remainder(digits, n) {
+    var r = 0;
+    for (var i = 0; i < digits.length; i++) {
+      r = (r * 10 + +digits.charAt(i)) % n;
+    }
+    return r;
+  }
 
   Model.fold = function fold(node, env) {
     var args = [], val;
-    forEach(node.args, function (n) {
-      args.push(fold(n, env));
+    forEach(node.args, function (n, i) {
+      if (typeof n !== "object" || node.op === OpStr.APPLY && i === 0) {
+        // Strings and the names of applied functions are left alone.
+        args.push(n);
+      } else {
+        args.push(fold(n, env));
+      }
     });
     node.args = args;
+    node = dropPhantoms(node);
     switch (node.op) {
     case OpStr.VAR:
-      if ((val = env[node.args[0]])) {
+      // Declarations, as in env["f"] = {type: "function"}, are not values.
+      if ((val = env[node.args[0]]) && !val.type) {
         node = val;  // Replace var node with its value.
       }
       break;
+    case OpStr.BOXED:
+    case OpStr.CANCEL:
+    case OpStr.BCANCEL:
+    case OpStr.COLOR:
+    case OpStr.TEXTCOLOR:
+    case OpStr.UNDERBRACE:
+    case OpStr.OVERBRACE:
+      // Presentational wrappers fold to their content.
+      node = node.args[0];
+      break;
+    case OpStr.MOD:
+      // 17 \bmod 5 -> 2. Moduli are kept small enough that the remainder
+      // arithmetic is exact.
+      var a = node.args[0], n = node.args[1];
+      if (a.op === OpStr.NUM && n.op === OpStr.NUM &&
+          /^-?\d+$/.test(a.args[0]) && /^\d{1,14}$/.test(n.args[0]) && +n.args[0] !== 0) {
+        val = remainder(a.args[0].replace("-", ""), +n.args[0]);
+        if (a.args[0].charAt(0) === "-" && val !== 0) {
+          val = +n.args[0] - val;
+        }
+        node = {op: OpStr.NUM, args: [String(val)]};
+      }
+      break;
     default:
       // Nothing to fold.
       break;
@@ -287,25 +559,292 @@ var Model = (function () {
     return node;
   }
 
-  // Render an AST to LaTex
-  var render = function render(n) {
+  // Operator precedence, loosest first. Operands that bind more loosely than
+  // the operator they appear in are rendered in parentheses.
+  var OpPrecedence = {};
+  forEach([
+    [OpStr.COMMA],
+    [OpStr.IMPLIES, OpStr.IFF, OpStr.THEREFORE],
+    [OpStr.OR],
+    [OpStr.AND],
+    [OpStr.NOT],
+    [OpStr.EQL, OpStr.NE, OpStr.APPROX, OpStr.EQUIV, OpStr.CONGRUENCE, OpStr.RIGHTARROW,
+     OpStr.LT, OpStr.LE, OpStr.GT, OpStr.GE, OpStr.IN, OpStr.NOTIN, OpStr.SUBSET,
+     OpStr.SUBSETEQ, OpStr.SUPSET, OpStr.SUPSETEQ, OpStr.SIM, OpStr.SIMEQ, OpStr.CONG,
+     OpStr.PROPTO, OpStr.PARALLEL, OpStr.PERP, OpStr.LL, OpStr.GG, OpStr.NLESS,
+     OpStr.NGTR, OpStr.TO, OpStr.COLON],
+    [OpStr.CUP, OpStr.SETMINUS],
+    [OpStr.CAP],
+    [OpStr.ADD, OpStr.SUB, OpStr.PM, OpStr.BACKSLASH],
+    [OpStr.MUL, OpStr.DIV, OpStr.MOD]
+  ], function (ops, i) {
+    forEach(ops, function (op) {
+      OpPrecedence[op] = i + 1;
+    });
+  });
+
+  function precedence(n) {
+    var prec = OpPrecedence[n.isChained ? n.args[0].op : n.op];
+    return prec === undefined ? Infinity : prec;
+  }
+
+  // Wrap 'text', the rendered operand 'n' of an operator with precedence
+  // 'prec', in parentheses if it binds more loosely than the operator. Tight
+  // operands are also wrapped at the same precedence, as in
+  // 'A \setminus (B \cup C)'.
+  function operand(n, text, prec, isTight) {
+    var p = precedence(n);
+    return p < prec || isTight && p === prec ? "(" + text + ")" : text;
+  }
+
+  // Write the number 'n' with the separators it was scanned with, as in
+  // '1.234,56'.
+  function numberText(n) {
+    var parts = String(n.args[0]).split(".");
+    if (n.thousandsSeparator) {
+      parts[0] = parts[0].replace(/\B(?=(\d{3})+$)/g, n.thousandsSeparator);
+    }
+    var separator = Model.option("setDecimalSeparator");
+    return parts.join(typeof separator === "string" ? separator : ".");
+  }
+
+  // Render an AST to LaTex. With the 'escapePercent' option percent signs are
+  // written as '\%'.
+  var render = function render(n, options) {
     var text = "";
     if (typeof n === "string") {
       text = n;
     } else if (typeof n === "number") {
       text = n;
     } else if (typeof n === "object") {
+      if (Model.option("stripWrappers")) {
+        n = dropPhantoms(n);
+      }
       // render sub-expressions
       var args = [];
       for (var i = 0; i < n.args.length; i++) {
-        args[i] = render(n.args[i]);
+        args[i] = render(n.args[i], options);
       }
       // render operator
       switch (n.op) {
       case OpStr.VAR:
+        // \hat{\overset{a}{x}}
+        text = n.args[0];
+        for (var i = 1; i < n.args.length; i++) {
+          var note = n.args[i];
+          if (note.op === OpStr.ACCENT) {
+            text = note.args[0] + "{" + text + "}";
+          } else if (note.op === OpStr.OVERSET || note.op === OpStr.UNDERSET) {
+            text = "\\" + note.op + "{" + render(note.args[0], options) + "}{" + text + "}";
+          } else {
+            // x_{1}
+            text += "_{" + args[i] + "}";
+          }
+        }
+        break;
       case OpStr.CST:
       case OpStr.NUM:
-        text = n.args[0];
+        text = numberText(n);
+        break;
+      case OpStr.OVERSET:
+      case OpStr.UNDERSET:
+        text = "\\" + n.op + "{" + args[0] + "}";
+        break;
+      case OpStr.ACCENT:
+        // \overrightarrow{AB}
+        text = args[0] + "{" + args[1] + "}";
+        break;
+      case OpStr.BOXED:
+      case OpStr.CANCEL:
+      case OpStr.BCANCEL:
+        if (Model.option("stripWrappers")) {
+          text = args[0];
+        } else {
+          text = "\\" + n.op + "{" + args[0] + "}";
+        }
+        break;
+      case OpStr.COLOR:
+      case OpStr.TEXTCOLOR:
+        if (Model.option("stripWrappers")) {
+          text = args[0];
+        } else {
+          text = "\\" + n.op + "{" + args[1] + "}{" + args[0] + "}";
+        }
+        break;
+      case OpStr.UNDERBRACE:
+      case OpStr.OVERBRACE:
+        // \underbrace{x + x}_{2x}
+        if (Model.option("stripWrappers")) {
+          text = args[0];
+        } else {
+          text = "\\" + n.op + "{" + args[0] + "}";
+          if (n.args[1].op !== OpStr.NONE) {
+            text += (n.op === OpStr.UNDERBRACE ? "_{" : "^{") + args[1] + "}";
+          }
+        }
+        break;
+      case OpStr.REACTION:
+        // 2H_{2} + O_{2} \rightarrow 2H_{2}O
+        var sides = [];
+        forEach(n.args.slice(0, 2), function (side) {
+          var terms = [];
+          forEach(side.args, function (species) {
+            terms.push(render(species, options));
+          });
+          sides.push(terms.join(" + "));
+        });
+        text = sides[0] + " " + n.arrow;
+        if (n.args[2].op !== OpStr.NONE) {
+          text += "{" + args[2] + "}";
+        }
+        text += " " + sides[1];
+        break;
+      case OpStr.SPECIES:
+        // 2H_{2}O(l)
+        text = (n.args[0].args[0] === "1" ? "" : args[0]) + args[1];
+        if (n.args[2].op !== OpStr.NONE) {
+          text += "(" + args[2] + ")";
+        }
+        break;
+      case OpStr.HYDRATE:
+        text = args[0] + " \\cdot " + (n.args[1].args[0] === "1" ? "" : args[1]) + args[2];
+        break;
+      case OpStr.RE:
+      case OpStr.IM:
+        // \Re(z)
+        text = "\\" + (n.op === OpStr.RE ? "Re" : "Im") + "(" + args[0] + ")";
+        break;
+      case OpStr.CIS:
+        text = "\\mathrm{cis}\\," + args[0];
+        break;
+      case OpStr.ABS:
+        text = "|" + args[0] + "|";
+        break;
+      case OpStr.QUANTITY:
+        // 5\,\mathrm{m/s^{2}}
+        var units = [];
+        forEach(n.args.slice(1), function (list) {
+          var factors = [];
+          forEach(list.args, function (f) {
+            var exponent = f.args[1].args[0];
+            factors.push(f.args[0].args[0] + (exponent === "1" ? "" : "^{" + exponent + "}"));
+          });
+          units.push(factors.length > 1 && list === n.args[2] ?
+                     "(" + factors.join("\\,") + ")" : factors.join("\\,"));
+        });
+        text = args[0] + "\\,\\mathrm{" + (units[0] || "1") + (units[1] ? "/" + units[1] : "") + "}";
+        break;
+      case OpStr.CURRENCY:
+        // \$5, -\$5, 1.234,56\,\euro, 20\,\mathrm{EUR}
+        var symbol = n.symbol === "$" ? "\\$" :
+                     /^[A-Z]{3}$/.test(n.symbol) ? "\\mathrm{" + n.symbol + "}" :
+                     n.symbol;
+        if (n.isSuffix) {
+          text = args[0] + "\\," + symbol;
+        } else if (args[0].charAt(0) === "-") {
+          text = "-" + symbol + args[0].substring(1);
+        } else {
+          text = symbol + args[0];
+        }
+        break;
+      case OpStr.PERCENT:
+        text = args[0] + (options.escapePercent ? "\\%" : "%");
+        break;
+      case OpStr.ANGLE:
+      case OpStr.TRIANGLE:
+        // \angle ABC
+        text = "\\" + n.op + " " + args.join("");
+        break;
+      case OpStr.MEASURE:
+        text = "m" + args[0];
+        break;
+      case OpStr.SEGMENT:
+        text = "\\overline{" + args.join("") + "}";
+        break;
+      case OpStr.LINE:
+        text = "\\overleftrightarrow{" + args.join("") + "}";
+        break;
+      case OpStr.RAY:
+        text = "\\overrightarrow{" + args.join("") + "}";
+        break;
+      case OpStr.DMS:
+        // 30^{\circ} 15' 20''
+        text = args[0] + "^{\\circ}";
+        if (n.args[1].op !== OpStr.NONE) {
+          text += " " + args[1] + "'";
+        }
+        if (n.args[2].op !== OpStr.NONE) {
+          text += " " + args[2] + "''";
+        }
+        break;
+      case OpStr.OVERLINE:
+      case OpStr.CONJUGATE:
+        text = "\\overline{" + args[0] + "}";
+        break;
+      case OpStr.PHANTOM:
+        if (!Model.option("stripWrappers")) {
+          text = "\\phantom{" + args[0] + "}";
+        }
+        break;
+      case OpStr.NONE:
+        text = "";
+        break;
+      case OpStr.INT:
+      case OpStr.IINT:
+      case OpStr.IIINT:
+      case OpStr.OINT:
+        // \int_{a}^{b} f \, dx
+        text = "\\" + n.op;
+        if (n.args[0].op !== OpStr.NONE) {
+          text += "_{" + args[0] + "}";
+        }
+        if (n.args[1].op !== OpStr.NONE) {
+          text += "^{" + args[1] + "}";
+        }
+        text += " " + operand(n.args[2], args[2], OpPrecedence[OpStr.MUL]);
+        var vars = n.args[3].op === OpStr.COMMA ? n.args[3].args : [n.args[3]];
+        forEach(vars, function (v) {
+          if (v.op !== OpStr.NONE) {
+            text += " \\, d" + render(v, options);
+          }
+        });
+        break;
+      case OpStr.DERIV:
+      case OpStr.PDERIV:
+        var order = n.args[2].args[0];
+        if (n.isNewton) {
+          // \ddot{x}
+          text = (order === "1" ? "\\dot{" : "\\ddot{") + args[0] + "}";
+          break;
+        }
+        if (n.args[1].op === OpStr.NONE) {
+          // f''
+          text = args[0];
+          for (var i = 0; i < +order; i++) {
+            text += "'";
+          }
+          break;
+        }
+        // \frac{d^{2}y}{dx^{2}}, \frac{d}{dx} (x^{2} + 1)
+        var d = n.op === OpStr.DERIV ? "d" : "\\partial";
+        var sep = n.op === OpStr.DERIV ? "" : " ";
+        var vars = n.args[1].op === OpStr.COMMA ? n.args[1].args : [n.args[1]];
+        var num = d + (order === "1" ? "" : "^{" + args[2] + "}");
+        var den = "";
+        forEach(vars, function (v, i) {
+          den += (i > 0 ? " " : "") + d + sep + render(v, options);
+        });
+        if (order !== "1" && vars.length === 1) {
+          den += "^{" + args[2] + "}";
+        }
+        if (n.args[0].op === OpStr.VAR) {
+          text = "\\frac{" + num + sep + args[0] + "}{" + den + "}";
+        } else {
+          text = "\\frac{" + num + "}{" + den + "}";
+          if (n.args[0].op !== OpStr.NONE) {
+            text += " " + operand(n.args[0], args[0], OpPrecedence[OpStr.MUL], true);
+          }
+        }
         break;
       case OpStr.SUB:
         if (n.args.length===1) {
@@ -318,8 +857,139 @@ var Model = (function () {
       case OpStr.DIV:
       case OpStr.PM:
       case OpStr.EQL:
+      case OpStr.LT:
+      case OpStr.LE:
+      case OpStr.GT:
+      case OpStr.GE:
+      case OpStr.NE:
+      case OpStr.APPROX:
+      case OpStr.IN:
+      case OpStr.NOTIN:
+      case OpStr.SUBSET:
+      case OpStr.SUBSETEQ:
+      case OpStr.SUPSET:
+      case OpStr.SUPSETEQ:
+      case OpStr.SIM:
+      case OpStr.SIMEQ:
+      case OpStr.CONG:
+      case OpStr.PROPTO:
+      case OpStr.PARALLEL:
+      case OpStr.PERP:
+      case OpStr.LL:
+      case OpStr.GG:
+      case OpStr.NLESS:
+      case OpStr.NGTR:
+      case OpStr.IMPLIES:
+      case OpStr.IFF:
+      case OpStr.EQUIV:
         text = args[0] + " " + OpToLaTeX[n.op] + " " + args[1];
         break;
+      case OpStr.SETMINUS:
+      case OpStr.MOD:
+        // Left associative, so the right operand is wrapped at the same
+        // precedence, as in 'a \bmod (b \bmod n)'.
+        text = operand(n.args[0], args[0], precedence(n)) + " " + OpToLaTeX[n.op] + " " +
+          operand(n.args[1], args[1], precedence(n), true);
+        break;
+      case OpStr.CONGRUENCE:
+        text = args[0] + " \\equiv " + args[1] + " \\pmod{" + args[2] + "}";
+        break;
+      case OpStr.NOT:
+        text = OpToLaTeX[n.op] + " " + operand(n.args[0], args[0], precedence(n), n.args[0].op !== n.op);
+        break;
+      case OpStr.THEREFORE:
+        if (n.args.length === 1) {
+          text = OpToLaTeX[n.op] + " " + args[0];
+        } else {
+          text = args[0] + " " + OpToLaTeX[n.op] + " " + args[1];
+        }
+        break;
+      case OpStr.CUP:
+      case OpStr.CAP:
+      case OpStr.AND:
+      case OpStr.OR:
+        forEach(n.args, function (arg, i) {
+          args[i] = operand(arg, args[i], precedence(n), arg.op !== n.op);
+        });
+        text = args.join(" " + OpToLaTeX[n.op] + " ");
+        break;
+      case OpStr.COMPLEMENT:
+        text = "{" + args[0] + "}^{\\complement}";
+        break;
+      case OpStr.EMPTYSET:
+        text = "\\emptyset";
+        break;
+      case OpStr.SET:
+        text = "\\{" + args.join(", ") + "\\}";
+        break;
+      case OpStr.SETBUILDER:
+        text = "\\{" + args[0] + " \\mid " + args[1] + "\\}";
+        break;
+      case OpStr.COL:
+        text = args.join(" & ");
+        break;
+      case OpStr.ROW:
+        text = args.join(" \\\\ ");
+        break;
+      case OpStr.MATRIX:
+        // \begin{pmatrix} 1 & 2 \\ 3 & 4 \end{pmatrix}
+        var type = n.matrixType || "matrix";
+        text = "\\begin{" + type + "}";
+        if (n.columns) {
+          var spec = "";
+          forEach(n.columns, function (c, i) {
+            if (indexOf(n.columnBars, i) >= 0) {
+              spec += "|";
+            }
+            spec += c;
+          });
+          if (indexOf(n.columnBars, n.columns.length) >= 0) {
+            spec += "|";
+          }
+          text += "{" + spec + "}";
+        }
+        text += " " + args[0] + " \\end{" + type + "}";
+        break;
+      case OpStr.DET:
+        if (n.args[0].op === OpStr.MATRIX && n.args[0].matrixType === "vmatrix") {
+          text = args[0];
+        } else {
+          text = "\\det " + args[0];
+        }
+        break;
+      case OpStr.FLOOR:
+        text = "\\lfloor " + args[0] + " \\rfloor";
+        break;
+      case OpStr.CEIL:
+        text = "\\lceil " + args[0] + " \\rceil";
+        break;
+      case OpStr.NORM:
+        text = "\\| " + args[0] + " \\|";
+        break;
+      case OpStr.TUPLE:
+        text = "\\langle " + args.join(", ") + " \\rangle";
+        break;
+      case OpStr.INNERPRODUCT:
+        text = "\\langle " + args[0] + " | " + args[1] + " \\rangle";
+        break;
+      case OpStr.ELLIPSIS:
+        text = "\\ldots";
+        break;
+      case OpStr.SEQUENCE:
+        text = args.join(", ");
+        if (n.lbrk === 123) {
+          text = "\\{" + text + "\\}";
+        }
+        break;
+      case OpStr.APPLY:
+        text = args[0] + "(" + args.slice(1).join(", ") + ")";
+        break;
+      case OpStr.PIECEWISE:
+        text = "\\begin{cases} " + args.join(" \\\\ ") + " \\end{cases}";
+        break;
+      case OpStr.OTHERWISE:
+        text = "\\text{otherwise}";
+        break;
       case OpStr.POW:
         // if subexpr is lower precedence, wrap in parens
         var lhs = n.args[0];
@@ -331,8 +1001,18 @@ var Model = (function () {
             args[0] = " (" + args[0] + ") ";
           }
         }
+        if ((rhs.op === OpStr.ADD || rhs.op === OpStr.SUB) && rhs.args.length === 1 &&
+            rhs.args[0].op === OpStr.NUM) {
+          // Na^{+}, SO_{4}^{2-}
+          args[1] = (rhs.args[0].args[0] === "1" ? "" : rhs.args[0].args[0]) + OpToLaTeX[rhs.op];
+        }
         text = "{" + args[0] + "^{" + args[1] + "}}";
         break;
+      case OpStr.SUBSCRIPT:
+        // Ca(OH)_{2}
+        text = (n.args[0].op === OpStr.VAR ? args[0] : "(" + args[0] + ")") +
+          "_{" + args[1] + "}";
+        break;
       case OpStr.SIN:
       case OpStr.COS:
       case OpStr.TAN:
@@ -342,10 +1022,29 @@ var Model = (function () {
       case OpStr.SEC:
       case OpStr.COT:
       case OpStr.CSC:
+      case OpStr.ARCSEC:
+      case OpStr.ARCCSC:
+      case OpStr.ARCCOT:
+      case OpStr.SINH:
+      case OpStr.COSH:
+      case OpStr.TANH:
+      case OpStr.COTH:
+      case OpStr.SECH:
+      case OpStr.CSCH:
+      case OpStr.EXP:
       case OpStr.LN:
       case OpStr.M:
         text = "{"+ OpToLaTeX[n.op] + "{" + args[0] + "}}";
         break;
+      case OpStr.GCD:
+      case OpStr.MAX:
+      case OpStr.MIN:
+      case OpStr.ARG:
+        text = OpToLaTeX[n.op] + "(" + args.join(", ") + ")";
+        break;
+      case OpStr.OPERATORNAME:
+        text = "\\operatorname{" + args[0] + "}(" + args.slice(1).join(", ") + ")";
+        break;
       case OpStr.FRAC:
         text = "\\dfrac{" + args[0] + "}{" + args[1] + "}";
         break;
@@ -366,10 +1065,21 @@ var Model = (function () {
         text = "\\vec{" + args[0] + "}";
         break;
       case OpStr.MUL:
+        if (n.isScientific) {
+          // 1.2 \times 10^{3}
+          text = args[0] + " " + OpToLaTeX[n.op] + " " + args[1];
+          break;
+        }
         // if subexpr is lower precedence, wrap in parens
         var prevTerm;
         text = "";
         forEach(n.args, function (term, index) {
+          var isEllipsis = term.op === OpStr.ELLIPSIS ||
+            prevTerm && prevTerm.op === OpStr.ELLIPSIS;
+          if (index !== 0 && isEllipsis) {
+            // a_{1}a_{2} \ldots a_{n}
+            text += " ";
+          }
           if (term.args && (term.args.length >= 2)) {
             if (term.op===OpStr.ADD || term.op===OpStr.SUB) {
               args[index] = "(" + args[index] + ")";
@@ -381,7 +1091,8 @@ var Model = (function () {
           }
           // elide the times symbol if rhs is parenthesized or a var, or lhs is a number
           // and rhs is not a number
-          else if (term.op===OpStr.PAREN ||
+          else if (isEllipsis ||
+               term.op===OpStr.PAREN ||
                term.op===OpStr.VAR ||
                term.op===OpStr.CST ||
                typeof prevTerm === "number" && typeof term !== "number") {
@@ -398,6 +1109,19 @@ var Model = (function () {
         break;
       case OpStr.ADD:
       case OpStr.COMMA:
+        if (n.isChained) {
+          // 0 < x < 1, parsed as [0 < x, x < 1]
+          text = args[0];
+          forEach(n.args.slice(1), function (rel) {
+            text += " " + OpToLaTeX[rel.op] + " " +
+              operand(rel.args[1], render(rel.args[1], options), precedence(rel), true);
+            if (rel.op === OpStr.CONGRUENCE) {
+              // a \equiv b \equiv c \pmod{n}
+              text += " \\pmod{" + render(rel.args[2], options) + "}";
+            }
+          });
+          break;
+        }
         forEach(args, function (value, index) {
           if (index===0) {
             text = value;
@@ -415,11 +1139,144 @@ var Model = (function () {
     else {
       assert(false, "invalid expression type");
     }
-
+    if (n.font && indexOf(text, "\\" + n.font) !== 0) {
+      // \mathrm{kg}
+      text = "\\" + n.font + "{" + text + "}";
+    }
     return text;
   }
 
-  var parse = function parse(src, env) {
+  // Expand macros in LaTeX source. Definitions made with \newcommand, \def and
+  // \DeclareMathOperator are added to a table for this source only, which
+  // falls back to the macros of the current environment. Comments are left
+  // as they are.
+  var MAX_EXPANSIONS = 1000;
+  function expandMacros(src, isCommentMode) {
+    var table = create(macros);
+    var out = "";
+    var i = 0;
+    var count = 0;
+    var name, def, arg, body, nargs;
+    while (i < src.length) {
+      if (isCommentMode && src.charAt(i) === "%") {
+        // % comment
+        while (i < src.length && src.charAt(i) !== "\n") {
+          out += src.charAt(i++);
+        }
+        continue;
+      }
+      if (src.charAt(i) !== "\\") {
+        out += src.charAt(i++);
+        continue;
+      }
+      name = controlSequence();
+      switch (name) {
+      case "\\newcommand":
+      case "\\renewcommand":
+      case "\\providecommand":
+        // \newcommand{\R}{\mathbb{R}}, \newcommand{\sq}[1]{#1^2}
+        name = trim(group());
+        nargs = 0;
+        skipSpace();
+        if (src.charAt(i) === "[") {
+          var end = indexOf(src, "]", i);
+          nargs = +src.substring(i + 1, end);
+          i = end + 1;
+        }
+        define(name, group(), nargs);
+        break;
+      case "\\def":
+        // \def\sq#1{#1^2}
+        skipSpace();
+        name = controlSequence();
+        var params = indexOf(src, "{", i);
+        assert(params >= 0, message(1009, ["\\def"]));
+        nargs = src.substring(i, params).split("#").length - 1;
+        i = params;
+        define(name, group(), nargs);
+        break;
+      case "\\DeclareMathOperator":
+        // \DeclareMathOperator{\sgn}{sgn}
+        if (src.charAt(i) === "*") {
+          i++;
+        }
+        name = trim(group());
+        define(name, "\\operatorname{" + group() + "}", 0);
+        break;
+      default:
+        if (!(def = table[name])) {
+          out += name;
+          break;
+        }
+        // Replace the macro and its arguments with the body and scan again.
+        assert(++count <= MAX_EXPANSIONS, message(1012, [name]));
+        body = def.body;
+        for (var n = 1; n <= def.nargs; n++) {
+          arg = group();
+          body = body.split("#" + n).join(arg);
+        }
+        if (/\\[a-zA-Z]+$/.test(body) && /[a-zA-Z]/.test(src.charAt(i))) {
+          // \pi r
+          body += " ";
+        }
+        src = out + body + src.substring(i);
+        i = out.length;
+        break;
+      }
+    }
+    return out;
+    function define(name, body, nargs) {
+      assert(/^\\[a-zA-Z]+$/.test(name), message(1013, [name]));
+      table[name] = {body: body, nargs: nargs};
+    }
+    function skipSpace() {
+      while (/\s/.test(src.charAt(i))) {
+        i++;
+      }
+    }
+    // \name or \c
+    function controlSequence() {
+      var start = i++;
+      if (/[a-zA-Z]/.test(src.charAt(i))) {
+        while (/[a-zA-Z]/.test(src.charAt(i))) {
+          i++;
+        }
+      } else {
+        i++;
+      }
+      return src.substring(start, i);
+    }
+    // {...}, \name or a single character
+    function group() {
+      skipSpace();
+      assert(i < src.length, message(1009, [name]));
+      if (src.charAt(i) === "\\") {
+        return controlSequence();
+      }
+      if (src.charAt(i) !== "{") {
+        return src.charAt(i++);
+      }
+      var depth = 0;
+      var start = i;
+      do {
+        if (src.charAt(i) === "\\") {
+          i++;  // Skip escaped characters, as in \{
+        } else if (src.charAt(i) === "{") {
+          depth++;
+        } else if (src.charAt(i) === "}") {
+          depth--;
+        }
+        i++;
+      } while (depth > 0 && i < src.length);
+      assert(depth === 0, message(1001, ["}", "end of input"]));
+      return src.substring(start + 1, i - 1);
+    }
+    function trim(str) {
+      return str.replace(/^\s+|\s+$/g, "");
+    }
+  }
+
+  var parse = function parse(src, env, isUnitGroup) {
     // Define lexical tokens
     var TK_NONE = 0;
     var TK_ADD = '+'.charCodeAt(0);
@@ -487,11 +1344,110 @@ var Model = (function () {
     var TK_OVERSET = 0x129;
     var TK_UNDERSET = 0x12A;
     var TK_BACKSLASH = 0x12B;
-    var TK_MATHBF = 0x12C;
+    var TK_MATHFONT = 0x12C;
     var TK_NE = 0x12D;
     var TK_APPROX = 0x12E;
     var TK_ABS = 0x12F;
+    var TK_IINT = 0x130;
+    var TK_IIINT = 0x131;
+    var TK_OINT = 0x132;
+    var TK_DOT = 0x133;
+    var TK_DDOT = 0x134;
+    var TK_CUP = 0x135;
+    var TK_CAP = 0x136;
+    var TK_SETMINUS = 0x137;
+    var TK_COMPLEMENT = 0x138;
+    var TK_SUBSET = 0x139;
+    var TK_SUBSETEQ = 0x13A;
+    var TK_SUPSET = 0x13B;
+    var TK_SUPSETEQ = 0x13C;
+    var TK_NOTIN = 0x13D;
+    var TK_EMPTYSET = 0x13E;
+    var TK_AND = 0x13F;
+    var TK_OR = 0x140;
+    var TK_NOT = 0x141;
+    var TK_IMPLIES = 0x142;
+    var TK_IFF = 0x143;
+    var TK_THEREFORE = 0x144;
+    var TK_ARCSEC = 0x145;
+    var TK_ARCCSC = 0x146;
+    var TK_ARCCOT = 0x147;
+    var TK_SINH = 0x148;
+    var TK_COSH = 0x149;
+    var TK_TANH = 0x14A;
+    var TK_COTH = 0x14B;
+    var TK_SECH = 0x14C;
+    var TK_CSCH = 0x14D;
+    var TK_DET = 0x14E;
+    var TK_GCD = 0x14F;
+    var TK_MAX = 0x150;
+    var TK_MIN = 0x151;
+    var TK_ARG = 0x152;
+    var TK_OPERATORNAME = 0x153;
+    var TK_LFLOOR = 0x154;
+    var TK_RFLOOR = 0x155;
+    var TK_LCEIL = 0x156;
+    var TK_RCEIL = 0x157;
+    var TK_NORM = 0x158;
+    var TK_LANGLE = 0x159;
+    var TK_RANGLE = 0x15A;
+    var TK_EQUIV = 0x15B;
+    var TK_PMOD = 0x15C;
+    var TK_BMOD = 0x15D;
+    var TK_MODULUS = 0x15E;
+    var TK_SIM = 0x15F;
+    var TK_SIMEQ = 0x160;
+    var TK_CONG = 0x161;
+    var TK_PROPTO = 0x162;
+    var TK_PARALLEL = 0x163;
+    var TK_PERP = 0x164;
+    var TK_LL = 0x165;
+    var TK_GG = 0x166;
+    var TK_NLESS = 0x167;
+    var TK_NGTR = 0x168;
+    var TK_NOT_PREFIX = 0x169;
+    var TK_INFTY = 0x16A;
+    var TK_ELLIPSIS = 0x16B;
+    var TK_ACCENT = 0x16C;
+    var TK_BOXED = 0x16D;
+    var TK_CANCEL = 0x16E;
+    var TK_BCANCEL = 0x16F;
+    var TK_COLOR = 0x170;
+    var TK_TEXTCOLOR = 0x171;
+    var TK_UNDERBRACE = 0x172;
+    var TK_OVERBRACE = 0x173;
+    var TK_PHANTOM = 0x174;
+    var TK_RIGHTLEFTHARPOONS = 0x175;
+    var TK_LEFTRIGHTARROW = 0x176;
+    var TK_XRIGHTARROW = 0x177;
+    var TK_RE = 0x178;
+    var TK_IM = 0x179;
+    var TK_ANGLE = 0x17A;
+    var TK_TRIANGLE = 0x17B;
+    var TK_LNORM = 0x17C;
+    var TK_RNORM = 0x17D;
     var T0 = TK_NONE, T1 = TK_NONE;
+    // Lexemes of the current and lookahead tokens.
+    var L0 = "", L1 = "";
+    // True while parsing the body of an integral, where 'dx' ends the integrand.
+    var inIntegrand = false;
+    // True while parsing the first part of '{..}', where ':' starts the
+    // condition of a set-builder.
+    var inSetElement = false;
+    // True while parsing the right side of '\equiv', where '\pmod{n}',
+    // '\mod n' and '(\text{mod } n)' end the expression.
+    var inCongruence = false;
+    // True while parsing the inside of '\|..\|', where '\|' closes the norm.
+    var inNorm = false;
+    // True while parsing the exponent of an ion or a number set, where a
+    // sign before '}' is a charge, as in 'Na^{+}'.
+    var inCharge = false;
+    // True while parsing the argument of '\overline' or an arrow, where 'A''
+    // names a point rather than a derivative.
+    var inPoints = false;
+    // The index of the sum or product being parsed, as in '\sum_{i=1}^n i^2'.
+    // It is a variable even when it names the imaginary unit.
+    var sumIndex = null;
     // Define mapping from token to operator
     var tokenToOperator = {};
     tokenToOperator[TK_SLASH] = OpStr.FRAC;
@@ -511,6 +1467,47 @@ var Model = (function () {
     tokenToOperator[TK_ARCSIN] = OpStr.ARCSIN;
     tokenToOperator[TK_ARCCOS] = OpStr.ARCCOS;
     tokenToOperator[TK_ARCTAN] = OpStr.ARCTAN;
+    tokenToOperator[TK_ARCSEC] = OpStr.ARCSEC;
+    tokenToOperator[TK_ARCCSC] = OpStr.ARCCSC;
+    tokenToOperator[TK_ARCCOT] = OpStr.ARCCOT;
+    tokenToOperator[TK_SINH] = OpStr.SINH;
+    tokenToOperator[TK_COSH] = OpStr.COSH;
+    tokenToOperator[TK_TANH] = OpStr.TANH;
+    tokenToOperator[TK_COTH] = OpStr.COTH;
+    tokenToOperator[TK_SECH] = OpStr.SECH;
+    tokenToOperator[TK_CSCH] = OpStr.CSCH;
+    tokenToOperator[TK_DET] = OpStr.DET;
+    tokenToOperator[TK_GCD] = OpStr.GCD;
+    tokenToOperator[TK_MAX] = OpStr.MAX;
+    tokenToOperator[TK_MIN] = OpStr.MIN;
+    tokenToOperator[TK_ARG] = OpStr.ARG;
+    tokenToOperator[TK_OPERATORNAME] = OpStr.OPERATORNAME;
+    tokenToOperator[TK_EQUIV] = OpStr.EQUIV;
+    tokenToOperator[TK_BMOD] = OpStr.MOD;
+    tokenToOperator[TK_MODULUS] = OpStr.MOD;
+    tokenToOperator[TK_SIM] = OpStr.SIM;
+    tokenToOperator[TK_SIMEQ] = OpStr.SIMEQ;
+    tokenToOperator[TK_CONG] = OpStr.CONG;
+    tokenToOperator[TK_PROPTO] = OpStr.PROPTO;
+    tokenToOperator[TK_PARALLEL] = OpStr.PARALLEL;
+    tokenToOperator[TK_PERP] = OpStr.PERP;
+    tokenToOperator[TK_LL] = OpStr.LL;
+    tokenToOperator[TK_GG] = OpStr.GG;
+    tokenToOperator[TK_NLESS] = OpStr.NLESS;
+    tokenToOperator[TK_NGTR] = OpStr.NGTR;
+    tokenToOperator[TK_ELLIPSIS] = OpStr.ELLIPSIS;
+    tokenToOperator[TK_BOXED] = OpStr.BOXED;
+    tokenToOperator[TK_CANCEL] = OpStr.CANCEL;
+    tokenToOperator[TK_BCANCEL] = OpStr.BCANCEL;
+    tokenToOperator[TK_COLOR] = OpStr.COLOR;
+    tokenToOperator[TK_TEXTCOLOR] = OpStr.TEXTCOLOR;
+    tokenToOperator[TK_UNDERBRACE] = OpStr.UNDERBRACE;
+    tokenToOperator[TK_OVERBRACE] = OpStr.OVERBRACE;
+    tokenToOperator[TK_PHANTOM] = OpStr.PHANTOM;
+    tokenToOperator[TK_RE] = OpStr.RE;
+    tokenToOperator[TK_IM] = OpStr.IM;
+    tokenToOperator[TK_ANGLE] = OpStr.ANGLE;
+    tokenToOperator[TK_TRIANGLE] = OpStr.TRIANGLE;
     tokenToOperator[TK_SEC] = OpStr.SEC;
     tokenToOperator[TK_COT] = OpStr.COT;
     tokenToOperator[TK_CSC] = OpStr.CSC;
@@ -534,6 +1531,9 @@ var Model = (function () {
     tokenToOperator[TK_TO] = OpStr.TO;
     tokenToOperator[TK_SUM] = OpStr.SUM;
     tokenToOperator[TK_INT] = OpStr.INT;
+    tokenToOperator[TK_IINT] = OpStr.IINT;
+    tokenToOperator[TK_IIINT] = OpStr.IIINT;
+    tokenToOperator[TK_OINT] = OpStr.OINT;
     tokenToOperator[TK_PROD] = OpStr.PROD;
     tokenToOperator[TK_M] = OpStr.M;
     tokenToOperator[TK_RIGHTARROW] = OpStr.RIGHTARROW;
@@ -547,7 +1547,22 @@ var Model = (function () {
     tokenToOperator[TK_OVERSET] = OpStr.OVERSET;
     tokenToOperator[TK_UNDERSET] = OpStr.UNDERSET;
     tokenToOperator[TK_BACKSLASH] = OpStr.BACKSLASH;
-    tokenToOperator[TK_MATHBF] = OpStr.MATHBF;
+    tokenToOperator[TK_CUP] = OpStr.CUP;
+    tokenToOperator[TK_CAP] = OpStr.CAP;
+    tokenToOperator[TK_SETMINUS] = OpStr.SETMINUS;
+    tokenToOperator[TK_COMPLEMENT] = OpStr.COMPLEMENT;
+    tokenToOperator[TK_SUBSET] = OpStr.SUBSET;
+    tokenToOperator[TK_SUBSETEQ] = OpStr.SUBSETEQ;
+    tokenToOperator[TK_SUPSET] = OpStr.SUPSET;
+    tokenToOperator[TK_SUPSETEQ] = OpStr.SUPSETEQ;
+    tokenToOperator[TK_NOTIN] = OpStr.NOTIN;
+    tokenToOperator[TK_EMPTYSET] = OpStr.EMPTYSET;
+    tokenToOperator[TK_AND] = OpStr.AND;
+    tokenToOperator[TK_OR] = OpStr.OR;
+    tokenToOperator[TK_NOT] = OpStr.NOT;
+    tokenToOperator[TK_IMPLIES] = OpStr.IMPLIES;
+    tokenToOperator[TK_IFF] = OpStr.IFF;
+    tokenToOperator[TK_THEREFORE] = OpStr.THEREFORE;
 
     function newNode(op, args) {
       return {
@@ -614,6 +1629,7 @@ var Model = (function () {
       var i, ch;
       var lastSeparatorIndex, lastSignificantIndex;
       var separatorCount = 0;
+      var thousandsSeparator;
       var numberFormat = "integer";
       var hasLeadingZero, hasTrailingZero;
       if (n0 === ".") {
@@ -621,6 +1637,7 @@ var Model = (function () {
       }
       for (i = 0; i < n1.length; i++) {
         if (matchThousandsSeparator(ch = n1.charAt(i))) {
+          thousandsSeparator = ch;
           if (separatorCount && lastSeparatorIndex !== i - 4 ||
               !separatorCount && i > 4) {
             assert(false, message(1005));
@@ -675,11 +1692,52 @@ var Model = (function () {
         op: Model.NUM,
         args: [String(n2)],
         hasThousandsSeparator: separatorCount !== 0,
+        thousandsSeparator: thousandsSeparator,
         numberFormat: numberFormat,
         hasLeadingZero: hasLeadingZero,
         hasTrailingZero: hasTrailingZero
       }
     }
+    // Convert the digits of an integer in 'base' to decimal digits. This is
+    // done on strings since Numbers lose precision above 2^53.
+    function decimalDigits(digits, base) {
+      var result = [0];   // Least significant digit first.
+      forEach(digits.split(""), function (ch) {
+        var carry = parseInt(ch, base);
+        for (var i = 0; i < result.length; i++) {
+          carry += result[i] * base;
+          result[i] = carry % 10;
+          carry = Math.floor(carry / 10);
+        }
+        for (; carry > 0; carry = Math.floor(carry / 10)) {
+          result.push(carry % 10);
+        }
+      });
+      return result.reverse().join("");
+    }
+    // Construct a node for a numeric literal, including E-notation and base
+    // prefixed integers.
+    function literalNode(str) {
+      var m, e;
+      if ((m = /^0([xXbBoO])(\w+)$/.exec(str))) {
+        // 0x1F, 0b1010, 0o17
+        var base = {x: 16, b: 2, o: 8}[m[1].toLowerCase()];
+        e = numberNode(decimalDigits(m[2], base));
+        e.numberFormat = base === 16 ? "hexadecimal" : base === 2 ? "binary" : "octal";
+        return e;
+      }
+      if ((m = /^(.+)[eE]([+-]?\d+)$/.exec(str))) {
+        // 1.2e-3 -> 1.2 \times 10^{-3}
+        e = binaryNode(Model.MUL, [
+          numberNode(m[1]),
+          binaryNode(Model.POW, [numberNode("10"), numberNode(m[2].replace("+", ""))])
+        ]);
+        e.isScientific = true;
+        e.numberFormat = "enotation";
+        return e;
+      }
+      return numberNode(str);
+    }
     // Construct a multiply node.
     function multiplyNode(args, flatten) {
       return binaryNode(Model.MUL, args, flatten);
@@ -710,31 +1768,43 @@ var Model = (function () {
     //
     // PARSER
     //
-    // Manage the token stream.
+    // Manage the token stream. In comment mode '%' starts a comment and '\%' is
+    // a percent sign, as in LaTeX. Multi-line sources are in comment mode
+    // unless the 'allowComments' option says otherwise.
+    var isCommentMode = Model.option("allowComments");
+    if (isCommentMode === undefined) {
+      isCommentMode = indexOf(src, "\n") >= 0;
+    }
+    src = expandMacros(src, isCommentMode);
     var scan = scanner(src);
     // Prime the token stream.
     function start(options) {
       T0 = scan.start(options);
+      L0 = scan.lexeme();
     }
     // Get the current token.
     function hd() {
       return T0;
     }
-    // Get the current lexeme.
+    // Get the current lexeme. Kept separately from the scanner's lexeme so
+    // that a lookahead doesn't clobber it.
     function lexeme() {
-      return scan.lexeme();
+      return L0;
     }
     // Advance the next token.
     function next(options) {
       T0 = T1;
+      L0 = L1;
       T1 = TK_NONE;
       if (T0 === TK_NONE) {
         T0 = scan.start(options);
+        L0 = scan.lexeme();
       }
     }
     function lookahead(options) {
       if (T1 === TK_NONE) {
         T1 = scan.start(options);
+        L1 = scan.lexeme();
       }
       return T1;
     }
@@ -757,12 +1827,29 @@ var Model = (function () {
       case 'A'.charCodeAt(0):
       case 'a'.charCodeAt(0):
       case TK_VAR:
-        var args = [lexeme()];
+        var name = lexeme();
+        var primes = 0;
+        while (name.length > 1 && name.charAt(name.length - 1) === "'" &&
+               !(inPoints && isPointName(name))) {
+          // f'' -> f, 2
+          name = name.substring(0, name.length - 1);
+          primes++;
+        }
+        var args = [name];
         next();
+        if (name === "m" && hd() === TK_ANGLE) {
+          // m\angle A, the measure of an angle
+          e = newNode(Model.MEASURE, [primaryExpr()]);
+          break;
+        }
         // Collect the subscript if there is one. Subscripts make multipart variable names.
         if ((t=hd())===TK_UNDERSCORE) {
-          next({oneCharToken: true});
-          args.push(primaryExpr());   // {op:VAR, args:["Fe", "2"]}
+          args.push(subscriptPart());
+        }
+        if (args.length === 1 && name === imaginaryUnit() && name !== sumIndex) {
+          // 3 + 2i
+          e = newNode(Model.CST, [name]);
+          break;
         }
         e = newNode(Model.VAR, args);
         if (isChemCore()) {
@@ -772,9 +1859,15 @@ var Model = (function () {
             eat(TK_RIGHTBRACE);
           }
         }
+        if (primes > 0) {
+          e = primeExpr(e, primes);
+        } else if (isFunctionSymbol(e) && hd() === TK_LEFTPAREN) {
+          // f(x), g(x, y)
+          e = applyNode(e, parenExpr(TK_LEFTPAREN));
+        }
         break;
       case TK_NUM:
-        e = numberNode(lexeme());
+        e = literalNode(lexeme());
         next();
         break;
       case TK_LEFTBRACKET:
@@ -785,32 +1878,69 @@ var Model = (function () {
         e = braceExpr();
         break;
       case TK_BEGIN:
+        // The scanner gives us the environment name as the lexeme.
+        var figure = lexeme();
+        var spec;
+        if (figure === "array") {
+          // \begin{array}{cc|c}
+          spec = scan.braceText();
+        }
         next();
-        var figure = braceExpr();
-        var tbl = matrixExpr();
-        eat(TK_END);
-        braceExpr();
-        if (indexOf(figure.args[0], "matrix") >= 0) {
-          e = newNode(Model.MATRIX, [tbl]);
+        if (figure === "cases") {
+          e = casesExpr();
+        } else if (figure === "array" || indexOf(figure, "matrix") >= 0) {
+          e = matrixNode(figure, matrixExpr(), spec);
         } else {
           assert(false, "Unrecognized LaTeX name");
         }
+        assert(hd() !== TK_END || lexeme() === figure, message(1010, [figure, lexeme()]));
+        eat(TK_END);
         break;
       case TK_VERTICALBAR:
         e = absExpr();
         break;
+      case TK_LFLOOR:
+        e = delimitedExpr(TK_LFLOOR, TK_RFLOOR, Model.FLOOR);
+        break;
+      case TK_LCEIL:
+        e = delimitedExpr(TK_LCEIL, TK_RCEIL, Model.CEIL);
+        break;
+      case TK_NORM:
+      case TK_LNORM:
+        var saveNorm = inNorm;
+        inNorm = true;
+        e = delimitedExpr(tk, tk === TK_LNORM ? TK_RNORM : TK_NORM, Model.NORM);
+        inNorm = saveNorm;
+        break;
+      case TK_LANGLE:
+        e = angleExpr();
+        break;
       case TK_ABS:
         next();
         var e = additiveExpr();
         return unaryNode(Model.ABS, [e]);
         break;
       case TK_FRAC:
-        next();
-        var expr1 = braceExpr();
-        var expr2 = braceExpr();
+        next({oneCharToken: true});
+        var expr1 = fracArg({oneCharToken: true});
+        var expr2 = fracArg();
+        if ((e = derivativeNode(expr1, expr2))) {
+          break;
+        }
         e = newNode(Model.FRAC, [expr1, expr2]);
         e.isFraction = true;
         break;
+      case TK_DOT:
+      case TK_DDOT:
+        // Newton's notation, \dot{x} -> dx/dt
+        next();
+        e = newNode(Model.DERIV, [
+          fracArg(),
+          newNode(Model.VAR, ["t"]),
+          numberNode(tk === TK_DOT ? "1" : "2")
+        ]);
+        e.isNewton = true;
+        break;
       case TK_BINOM:
         next();
         var n = braceExpr();
@@ -832,18 +1962,46 @@ var Model = (function () {
         switch(hd()) {
         case TK_LEFTBRACKET:
           var root = bracketExpr();
-          var base = braceExpr();
+          var base = hd() === TK_LEFTBRACE ? braceExpr() : primaryExpr();
           e = newNode(Model.POW, [base, newNode(Model.POW, [root, nodeMinusOne])]);
           break;
         case TK_LEFTBRACE:
           var base = braceExpr();
           e = newNode(Model.POW, [base, newNode(Model.POW, [newNode(Model.NUM, ["2"]), nodeMinusOne])]);
           break;
+        case TK_LEFTPAREN:
+        case TK_NUM:
+        case TK_VAR:
+          // √(x+1), √2
+          var base = primaryExpr();
+          e = newNode(Model.POW, [base, newNode(Model.POW, [newNode(Model.NUM, ["2"]), nodeMinusOne])]);
+          break;
         default:
           assert(false, message(1001, ["{ or (", String.fromCharCode(hd())]));
           break;
         }
         break;
+      case TK_EMPTYSET:
+        next();
+        e = newNode(Model.EMPTYSET, []);
+        break;
+      case TK_INFTY:
+        next();
+        e = newNode(Model.CST, ["\\infty"]);
+        break;
+      case TK_ELLIPSIS:
+        next();
+        e = newNode(Model.ELLIPSIS, []);
+        break;
+      case TK_COMPLEMENT:
+        next();
+        if (isTermEnd(hd())) {
+          // A^{\complement}, the base is added by exponentialExpr().
+          e = newNode(Model.COMPLEMENT, []);
+        } else {
+          e = newNode(Model.COMPLEMENT, [primaryExpr()]);
+        }
+        break;
       case TK_VEC:
         next();
         var name = braceExpr();
@@ -880,6 +2038,15 @@ var Model = (function () {
       case TK_SEC:
       case TK_COT:
       case TK_CSC:
+      case TK_ARCSEC:
+      case TK_ARCCSC:
+      case TK_ARCCOT:
+      case TK_SINH:
+      case TK_COSH:
+      case TK_TANH:
+      case TK_COTH:
+      case TK_SECH:
+      case TK_CSCH:
         next();
         var t, args = [];
         // Collect exponents if there are any
@@ -894,6 +2061,32 @@ var Model = (function () {
           return args[0];
         }
         break;
+      case TK_DET:
+      case TK_GCD:
+      case TK_MAX:
+      case TK_MIN:
+      case TK_ARG:
+      case TK_OPERATORNAME:
+        // \gcd(12, 18), \det A, \operatorname{sgn}(x)
+        var name = lexeme();
+        next();
+        var t, args = [];
+        // Collect exponents if there are any
+        while ((t=hd())===TK_CARET) {
+          next({oneCharToken: true});
+          args.push(unaryExpr());
+        }
+        var fnArgs = argList(primaryExpr());
+        if (tk === TK_OPERATORNAME) {
+          fnArgs.unshift(newNode(Model.VAR, [name]));
+        }
+        args.unshift(newNode(tokenToOperator[tk], fnArgs));
+        if (args.length > 1) {
+          return newNode(Model.POW, args);
+        } else {
+          return args[0];
+        }
+        break;
       case TK_LN:
         next();
         return newNode(Model.LOG, [newNode(Model.VAR, ["e"]), primaryExpr()]);
@@ -924,19 +2117,25 @@ var Model = (function () {
         // Finish the log function
         return newNode(tokenToOperator[tk], args);
         break;
-      case TK_SUM:
       case TK_INT:
+      case TK_IINT:
+      case TK_IIINT:
+      case TK_OINT:
+        return integralExpr(tk);
+      case TK_SUM:
       case TK_PROD:
         next();
         var t, args = [];
+        var saveIndex = sumIndex;
         // Collect the subscript and expression
         if (hd() === TK_UNDERSCORE) {
           next({oneCharToken: true});
-          args.push(primaryExpr());
+          args.push(indexExpr(primaryExpr()));
           eat(TK_CARET, {oneCharToken: true});              // If we have a subscript, then we expect a superscript
           args.push(primaryExpr());
         }
         args.push(commaExpr());
+        sumIndex = saveIndex;
         // Finish the log function
         return newNode(tokenToOperator[tk], args);
         break;
@@ -948,6 +2147,10 @@ var Model = (function () {
         return newNode(Model.FORALL, [commaExpr()]);
       case TK_EXP:
         next();
+        if (hd() === TK_LEFTPAREN) {
+          // \exp(x) + 1
+          return newNode(Model.EXP, [parenExpr(TK_LEFTPAREN)]);
+        }
         return newNode(Model.EXP, [additiveExpr()]);
       case TK_M:
         next();
@@ -957,50 +2160,503 @@ var Model = (function () {
         return newNode(Model.FORMAT, [braceExpr()]);
       case TK_OVERLINE:
         next();
-        return newNode(Model.OVERLINE, [braceExpr()]);
+        var savePoints = inPoints;
+        inPoints = true;
+        var expr1 = braceExpr();
+        inPoints = savePoints;
+        var points = pointsOf(expr1);
+        if (points && points.length === 2) {
+          // \overline{AB}
+          return newNode(Model.SEGMENT, points);
+        }
+        if (imaginaryUnit() && expr1.op !== Model.NUM) {
+          // \overline{z}, but not 0.\overline{3}
+          return newNode(Model.CONJUGATE, [expr1]);
+        }
+        return newNode(Model.OVERLINE, [expr1]);
       case TK_OVERSET:
       case TK_UNDERSET:
         next();
         var expr1 = braceExpr();
         var expr2 = braceExpr();
-        // Add the annotation to the variable.
-        expr2.args.push(newNode(tokenToOperator[tk], [expr1]));
-        return expr2;
-        break;
-      case TK_MATHBF:
-        // Erase this token.
+        return annotate(expr2, newNode(tokenToOperator[tk], [expr1]));
+      case TK_ACCENT:
+        // \hat{p}
+        var accent = lexeme();
+        var isArrow = accent === "\\overrightarrow" || accent === "\\overleftrightarrow";
         next();
-        var expr1 = braceExpr();
-        return expr1;
-      default:
-        assert(false, message(1006, [lexeme()]));
-        e = void 0;
-        break;
-      }
-      return e;
-    }
-    // Parse '1 & 2 & 3 \\ a & b & c'
-    function matrixExpr( ) {
-      var args = [];
-      var node, t;
-      args.push(rowExpr());
+        var savePoints = inPoints;
+        inPoints = isArrow;
+        var expr1 = fracArg();
+        inPoints = savePoints;
+        var points = pointsOf(expr1);
+        if (points && points.length === 2 && isArrow) {
+          // \overrightarrow{AB}, \overleftrightarrow{AB}
+          return newNode(accent === "\\overrightarrow" ? Model.RAY : Model.LINE, points);
+        }
+        e = annotate(expr1, newNode(Model.ACCENT, [accent]));
+        if (e.op === Model.VAR && e.args.length === 2 && hd() === TK_UNDERSCORE) {
+          // \bar{x}_1 -> \bar{x_1}
+          e.args.splice(1, 0, subscriptPart());
+        }
+        return e;
+      case TK_ANGLE:
+      case TK_TRIANGLE:
+        // \angle ABC, \angle 1, \triangle ABC
+        next();
+        if (hd() === TK_NUM) {
+          e = newNode(tokenToOperator[tk], [numberNode(lexeme())]);
+          next();
+          return e;
+        }
+        var args = [];
+        while (args.length < 3 && hd() === TK_VAR && isPointName(lexeme())) {
+          args.push(newNode(Model.VAR, [lexeme()]));
+          next();
+        }
+        if (args.length === 0) {
+          args.push(primaryExpr());
+        }
+        return newNode(tokenToOperator[tk], args);
+      case TK_BOXED:
+      case TK_CANCEL:
+      case TK_BCANCEL:
+        next();
+        return newNode(tokenToOperator[tk], [braceExpr()]);
+      case TK_COLOR:
+      case TK_TEXTCOLOR:
+        // \color{red}{x}, \textcolor{red}{x}
+        var color = scan.braceText();
+        next();
+        if (tk === TK_COLOR && hd() !== TK_LEFTBRACE) {
+          // \color{red} x + 1
+          return newNode(Model.COLOR, [additiveExpr(), color]);
+        }
+        return newNode(tokenToOperator[tk], [braceExpr(), color]);
+      case TK_UNDERBRACE:
+      case TK_OVERBRACE:
+        next();
+        var expr1 = braceExpr();
+        var expr2 = nodeNone;
+        if (hd() === (tk === TK_UNDERBRACE ? TK_UNDERSCORE : TK_CARET)) {
+          // \underbrace{x + x}_{2x}
+          next({oneCharToken: true});
+          expr2 = primaryExpr();
+        }
+        return newNode(tokenToOperator[tk], [expr1, expr2]);
+      case TK_PHANTOM:
+        // The content is invisible so keep it as text.
+        var text = scan.braceText();
+        next();
+        return newNode(Model.PHANTOM, [text]);
+      case TK_MATHFONT:
+        // \mathrm{kg}, \mathbb{R}
+        var font = lexeme().substring(1);
+        var text = scan.braceText();
+        next();
+        if (text === "cis") {
+          // r\,\mathrm{cis}\,\theta
+          return newNode(Model.CIS, [hd() === TK_LEFTPAREN ? parenExpr(TK_LEFTPAREN) : multiplicativeExpr()]);
+        }
+        return fontNode(font, text);
+      case TK_RE:
+      case TK_IM:
+        // \Re(z), \Im z
+        next();
+        return newNode(tokenToOperator[tk], [hd() === TK_LEFTPAREN ? parenExpr(TK_LEFTPAREN) : primaryExpr()]);
+      default:
+        assert(false, message(1006, [lexeme()]));
+        e = void 0;
+        break;
+      }
+      return e;
+    }
+    // Currency symbols and the ISO 4217 codes they stand for. \$ is scanned
+    // as $, and €, £ and ¥ as \euro, \pounds and \yen.
+    var currencySymbols = {
+      "$": "USD",
+      "\\textdollar": "USD",
+      "\\euro": "EUR",
+      "\\texteuro": "EUR",
+      "\\pounds": "GBP",
+      "\\textsterling": "GBP",
+      "\\yen": "JPY",
+      "\\textyen": "JPY"
+    };
+    // ISO 4217 codes recognized after an amount, as in '20 EUR'.
+    var currencyCodes = [
+      "USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD", "NZD", "CNY", "INR",
+      "MXN", "BRL", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "RON", "BGN"
+    ];
+    // Make a currency node with the amount and ISO code of '$5' or '5 USD'.
+    // The symbol is kept for rendering.
+    function currencyNode(amount, symbol, isSuffix) {
+      var e = newNode(Model.CURRENCY, [amount, currencySymbols[symbol] || symbol]);
+      e.symbol = symbol;
+      if (isSuffix) {
+        e.isSuffix = true;
+      }
+      return e;
+    }
+    // Make a currency node from the factors of '1.234,56 €' or '20 EUR'.
+    // Return null if the factors aren't an amount followed by a currency.
+    function suffixCurrencyNode(args) {
+      if (!isMagnitude(args[0])) {
+        return null;
+      }
+      var name = "";
+      for (var i = 1; i < args.length; i++) {
+        if (args[i].op !== Model.VAR || args[i].args.length > 1) {
+          return null;
+        }
+        name += args[i].args[0];
+      }
+      if (currencySymbols[name] && args.length === 2 ||
+          indexOf(currencyCodes, name) >= 0) {
+        return currencyNode(args[0], name, true);
+      }
+      return null;
+    }
+    // Points are named by single capital letters, which may be primed.
+    function isPointName(name) {
+      return /^[A-Z]'*$/.test(name);
+    }
+    // Return the points of 'AB', or null if it isn't a sequence of points.
+    function pointsOf(n) {
+      var factors = n.op === Model.MUL ? n.args : [n];
+      var isPoints = every(factors, function (n) {
+        return n.op === Model.VAR && n.args.length === 1 && isPointName(n.args[0]);
+      });
+      return isPoints ? factors : null;
+    }
+    // Parse the minutes and seconds after the degrees, as in 30^\circ 15' 20''
+    function dmsExpr(degrees) {
+      var minutes = nodeNone;
+      var seconds = nodeNone;
+      if (hd() === TK_NUM && lookahead() === TK_VAR && L1 === "'") {
+        minutes = numberNode(lexeme());
+        next();
+        next();
+      }
+      if (hd() === TK_NUM && lookahead() === TK_VAR && L1 === "''") {
+        seconds = numberNode(lexeme());
+        next();
+        next();
+      }
+      if (minutes === nodeNone && seconds === nodeNone) {
+        return null;
+      }
+      return newNode(Model.DMS, [degrees, minutes, seconds]);
+    }
+    // The 'setImaginaryUnit' option makes 'i' (or 'j') the imaginary unit.
+    function imaginaryUnit() {
+      var unit = Model.option("setImaginaryUnit");
+      return unit === "j" ? "j" : unit ? "i" : null;
+    }
+    // Make the index of '\sum_{i=1}' or '\sum_i' a variable and set
+    // 'sumIndex' to its name.
+    function indexExpr(n) {
+      var v = n.op === Model.EQL ? n.args[0] : n;
+      if (v.op === Model.CST && v.args[0] === imaginaryUnit()) {
+        v.op = Model.VAR;
+      }
+      if (v.op === Model.VAR && v.args.length === 1) {
+        sumIndex = v.args[0];
+      }
+      return n;
+    }
+    // Make a node for the contents of a font command. Letters make an
+    // identifier, anything else is parsed and marked with the font.
+    function fontNode(font, text) {
+      var e;
+      if (/^[A-Za-z]+$/.test(text) && !isChemCore()) {
+        if (font === "mathbb" || font === "mathcal") {
+          // \mathcal{L} and L are different identifiers.
+          var name = "\\" + font + "{" + text + "}";
+          e = newNode(isNumberSet(name) ? Model.CST : Model.VAR, [name]);
+        } else {
+          e = newNode(Model.VAR, [text]);
+        }
+      } else {
+        // Letter runs in an upright group are unit names, as in \mathrm{kg \cdot m}.
+        e = parse(text, env, font === "mathrm" && !isChemCore()).expr();
+      }
+      e.font = font;
+      return e;
+    }
+    // \mathbb{N}, \mathbb{Z}, \mathbb{Q}, \mathbb{R}, \mathbb{C}
+    function isNumberSet(name) {
+      return indexOf(["\\mathbb{N}", "\\mathbb{Z}", "\\mathbb{Q}", "\\mathbb{R}", "\\mathbb{C}"], name) >= 0;
+    }
+    // Parse an argument of \frac, as in '\frac{x}{2}'. Digits are single
+    // character arguments, as in '\frac12'.
+    function fracArg(options) {
+      if (hd() === TK_LEFTBRACE) {
+        return braceExpr();
+      } else if (hd() === TK_NUM) {
+        var e = numberNode(lexeme());
+        next(options);
+        return e;
+      }
+      return primaryExpr();
+    }
+    // Parse the '_1' of 'x_1', the subscript part of a variable name.
+    function subscriptPart() {
+      eat(TK_UNDERSCORE, {oneCharToken: true});
+      var sub = primaryExpr();   // {op:VAR, args:["Fe", "2"]}
+      if (sub.op === Model.CST && sub.args[0] === imaginaryUnit()) {
+        // x_i, an index not the imaginary unit
+        sub = newNode(Model.VAR, sub.args);
+      }
+      return sub;
+    }
+    // Add an annotation (accent, overset, underset) to a variable. Other
+    // expressions are wrapped in the annotation instead.
+    function annotate(expr, note) {
+      if (expr.op !== Model.VAR) {
+        note.args.push(expr);
+        return note;
+      }
+      // The braces only delimit the argument.
+      var e = newNode(Model.VAR, expr.args.concat(note));
+      return e;
+    }
+    // Parse '1 & 2 & 3 \\ a & b & c'
+    function matrixExpr( ) {
+      var args = [];
+      var node, t;
+      args.push(rowExpr());
       while ((t = hd()) === TK_NEWROW) {
         next();
-        args.push(rowExpr());
+        if (hd() !== TK_END) {
+          args.push(rowExpr());
+        }
       }
       return newNode(tokenToOperator[TK_NEWROW], args);
     }
+    // Make a matrix node for environment 'type'. A 'vmatrix' is a determinant.
+    function matrixNode(type, tbl, spec) {
+      var columns, columnBars;
+      var count = tbl.args[0].args.length;
+      if (spec !== undefined) {
+        // {cc|c} -> columns ["c", "c", "c"], bar before column 2.
+        columns = [];
+        columnBars = [];
+        forEach(spec.split(""), function (ch) {
+          if (ch === "l" || ch === "c" || ch === "r") {
+            columns.push(ch);
+          } else if (ch === "|") {
+            columnBars.push(columns.length);
+          } else if (ch !== " ") {
+            assert(false, message(1007, [ch, spec]));
+          }
+        });
+        count = columns.length;
+      }
+      forEach(tbl.args, function (row, i) {
+        assert(row.args.length === count, message(1011, [i + 1, row.args.length, count]));
+      });
+      var e = newNode(Model.MATRIX, [tbl]);
+      e.matrixType = type;
+      if (columns) {
+        e.columns = columns;
+        e.columnBars = columnBars;
+      }
+      if (type === "vmatrix") {
+        e = newNode(Model.DET, [e]);
+      }
+      return e;
+    }
+    // Parse 'x & \text{if } x > 0 \\ -x & \text{otherwise}'
+    function casesExpr() {
+      var args = [caseExpr()];
+      while (hd() === TK_NEWROW) {
+        next();
+        if (hd() !== TK_END) {
+          args.push(caseExpr());
+        }
+      }
+      return newNode(Model.PIECEWISE, args);
+    }
+    // Parse 'x & \text{if } x > 0'
+    function caseExpr() {
+      var value = implicationExpr();
+      var cond;
+      if (hd() === TK_COMMA) {
+        // x, & x > 0
+        next();
+      }
+      if (hd() === TK_NEWCOL) {
+        next();
+        if (hd() === TK_VAR && indexOf(["if", "for", "when"], lexeme()) >= 0) {
+          next();
+        }
+      }
+      if (hd() === TK_VAR && lexeme() === "otherwise") {
+        next();
+        cond = newNode(Model.OTHERWISE, []);
+      } else if (hd() === TK_NEWROW || hd() === TK_END) {
+        cond = newNode(Model.OTHERWISE, []);
+      } else {
+        cond = implicationExpr();
+      }
+      return newNode(Model.COL, [value, cond]);
+    }
     // Parse '1 & 2 & 3'
     function rowExpr( ) {
       var args = [];
       var t;
-      args.push(equalExpr());
+      args.push(implicationExpr());
       while ((t = hd()) === TK_NEWCOL) {
         next();
-        args.push(equalExpr());
+        args.push(implicationExpr());
       }
       return newNode(tokenToOperator[TK_NEWCOL], args);
     }
+    // Parse '\int_a^b f dx', '\iint_D f \,dx \,dy', '\int \frac{dx}{x}'
+    function integralExpr(tk) {
+      var lower = nodeNone, upper = nodeNone, integrand, vars = [];
+      var maxVars = tk === TK_IINT ? 2 : tk === TK_IIINT ? 3 : 1;
+      next();
+      // Collect the bounds, in either order.
+      for (var i = 0; i < 2; i++) {
+        if (hd() === TK_UNDERSCORE) {
+          next({oneCharToken: true});
+          lower = primaryExpr();
+        } else if (hd() === TK_CARET) {
+          next({oneCharToken: true});
+          upper = primaryExpr();
+        }
+      }
+      var save = inIntegrand;
+      inIntegrand = true;
+      if (isDifferential(hd())) {
+        // \int dx
+        integrand = nodeOne;
+      } else {
+        integrand = additiveExpr();
+      }
+      while (vars.length < maxVars && isDifferential(hd())) {
+        next();
+        vars.push(primaryExpr());
+      }
+      inIntegrand = save;
+      if (vars.length === 0 && integrand.op === Model.FRAC) {
+        // \frac{dx}{x} -> \frac{1}{x} dx
+        var num = stripDifferentials(integrand.args[0], vars);
+        if (vars.length > 0) {
+          integrand = newNode(Model.FRAC, [num, integrand.args[1]]);
+          integrand.isFraction = true;
+        }
+      }
+      var v = vars.length === 0 ? nodeNone : vars.length === 1 ? vars[0] : newNode(Model.COMMA, vars);
+      return newNode(tokenToOperator[tk], [lower, upper, integrand, v]);
+    }
+    // Check if the current token starts a differential such as 'dx'.
+    function isDifferential(t) {
+      return inIntegrand && t === TK_VAR && lexeme() === "d" && lookahead() === TK_VAR;
+    }
+    // Remove trailing differentials from a product, 'x dx' -> 'x', 'dx' -> '1'
+    function stripDifferentials(n, vars) {
+      if (n.op !== Model.MUL) {
+        return n;
+      }
+      var args = n.args.slice(0);
+      while (args.length >= 2 && isVar(args[args.length - 2], "d") &&
+             args[args.length - 1].op === Model.VAR) {
+        vars.unshift(args.pop());
+        args.pop();
+      }
+      if (args.length === 0) {
+        return nodeOne;
+      } else if (args.length === 1) {
+        return args[0];
+      }
+      return multiplyNode(args);
+    }
+    // Parse "f'", "f''(x)". A primed symbol followed by '(..)' is applied to
+    // the arguments, as in f'(2).
+    function primeExpr(fn, order) {
+      var e = newNode(Model.DERIV, [fn, nodeNone, numberNode(String(order))]);
+      return hd() === TK_LEFTPAREN ? applyNode(e, parenExpr(TK_LEFTPAREN)) : e;
+    }
+    // Make a function application node from 'f' and '(x, y)'.
+    function applyNode(fn, e) {
+      return newNode(Model.APPLY, [fn].concat(argList(e)));
+    }
+    // Get the arguments of '(x, y)' as an array.
+    function argList(e) {
+      if (e.op === Model.LIST || e.op === Model.INTERVAL || e.op === Model.COMMA ||
+          e.op === Model.SET) {
+        // (a, b), \{a, b\}
+        return e.args.slice(0);
+      }
+      return [e];
+    }
+    // Check for 'd' and '\partial'.
+    function isDifferentialOperator(n) {
+      return isVar(n, "d") || isVar(n, "\\partial");
+    }
+    // Make a derivative node from the parts of '\frac{d^2y}{dx^2}',
+    // '\frac{d}{dx} f' or '\frac{\partial^2 f}{\partial x \partial y}'. Return
+    // null if the fraction is not a derivative.
+    function derivativeNode(num, den) {
+      var terms = num.op === Model.MUL ? num.args : [num];
+      var d, order, fn;
+      if (isDifferentialOperator(terms[0])) {
+        d = terms[0].args[0];
+        order = nodeOne;
+      } else if (terms[0].op === Model.POW && isDifferentialOperator(terms[0].args[0])) {
+        d = terms[0].args[0].args[0];
+        order = terms[0].args[1];
+      } else {
+        return null;
+      }
+      // The denominator is a list of 'dx' pairs. Their exponents add up to the
+      // order, as in \frac{\partial^3 f}{\partial x^2 \partial y}.
+      var dterms = den.op === Model.MUL ? den.args : [den];
+      var vars = [];
+      var total = 0;
+      if (dterms.length % 2 !== 0) {
+        return null;
+      }
+      for (var i = 0; i < dterms.length; i += 2) {
+        var v = dterms[i + 1];
+        var exponent = nodeOne;
+        if (!isVar(dterms[i], d)) {
+          return null;
+        }
+        if (v.op === Model.POW && v.args[0].op === Model.VAR) {
+          exponent = v.args[1];
+          v = v.args[0];  // dx^2
+        } else if (v.op !== Model.VAR) {
+          return null;
+        }
+        if (exponent.op === Model.NUM && order.op === Model.NUM) {
+          total += +exponent.args[0];
+        } else if (dterms.length !== 2 ||
+                   JSON.stringify(exponent) !== JSON.stringify(order)) {
+          // \frac{d^n y}{dx^n}
+          return null;
+        }
+        vars.push(newNode(Model.VAR, v.args));
+      }
+      if (order.op === Model.NUM && total !== +order.args[0]) {
+        return null;
+      }
+      if (terms.length > 2) {
+        fn = multiplyNode(terms.slice(1));
+      } else if (terms.length === 2) {
+        fn = terms[1];
+      } else if (!isTermEnd(hd())) {
+        // \frac{d}{dx} x^2
+        fn = multiplicativeExpr();
+      } else {
+        fn = nodeNone;
+      }
+      var op = d === "d" ? Model.DERIV : Model.PDERIV;
+      return newNode(op, [fn, vars.length === 1 ? vars[0] : newNode(Model.COMMA, vars), order]);
+    }
     // Parse '| expr |'
     function absExpr() {
       eat(TK_VERTICALBAR);
@@ -1008,17 +2664,63 @@ var Model = (function () {
       eat(TK_VERTICALBAR);
       return unaryNode(Model.ABS, [e]);
     }
+    // Parse '\lfloor expr \rfloor', '\lceil expr \rceil', '\| expr \|'
+    function delimitedExpr(left, right, op) {
+      eat(left);
+      var e = additiveExpr();
+      eat(right);
+      return unaryNode(op, [e]);
+    }
+    // Parse '\langle a, b, c \rangle', '\langle u | v \rangle'
+    function angleExpr() {
+      var e;
+      eat(TK_LANGLE);
+      var lhs = commaExpr();
+      if (hd() === TK_VERTICALBAR) {
+        next();
+        e = newNode(Model.INNERPRODUCT, [lhs, commaExpr()]);
+      } else {
+        var args = lhs.op === Model.COMMA ? lhs.args : [lhs];
+        if (args.length === 2 && Model.option("allowInnerProduct")) {
+          // <u, v>
+          e = newNode(Model.INNERPRODUCT, args);
+        } else {
+          e = newNode(Model.TUPLE, args);
+        }
+      }
+      eat(TK_RANGLE);
+      return e;
+    }
     // Parse '{ expr }'
     function braceExpr() {
       var e;
+      var save = inIntegrand;
+      var saveSetElement = inSetElement;
+      var saveNorm = inNorm;
+      inIntegrand = false;
+      inNorm = false;
+      // Only '\{' starts a set; '{' just groups.
+      var isSet = inSetElement = lexeme() === "\\";
       eat(TK_LEFTBRACE);
       if (hd() === TK_RIGHTBRACE) {
         eat(TK_RIGHTBRACE);
-        e = newNode(Model.COMMA, []);
+        e = newNode(isSet ? Model.SET : Model.COMMA, []);
       } else {
         e = commaExpr();
+        if (hd() === TK_VERTICALBAR || hd() === TK_COLON) {
+          // \{x \mid x > 0\}, \{x : x \in A\}
+          next();
+          inSetElement = false;
+          e = newNode(Model.SETBUILDER, [e, commaExpr()]);
+        } else if (isSet && e.op !== Model.SEQUENCE) {
+          // \{1, 2, 3\}
+          e = newNode(Model.SET, e.op === Model.COMMA && !e.lbrk ? e.args : [e]);
+        }
         eat(TK_RIGHTBRACE);
       }
+      inIntegrand = save;
+      inSetElement = saveSetElement;
+      inNorm = saveNorm;
       e.lbrk = TK_LEFTBRACE;
       e.rbrk = TK_RIGHTBRACE;
       return e;
@@ -1035,6 +2737,12 @@ var Model = (function () {
       // Handle grouping and intervals.
       var e;
       var tk2;
+      var save = inIntegrand;
+      var saveSetElement = inSetElement;
+      var saveNorm = inNorm;
+      inIntegrand = false;
+      inSetElement = false;
+      inNorm = false;
       eat(tk);
       if (hd() === TK_RIGHTPAREN || hd() === TK_RIGHTBRACKET) {
         eat(tk === TK_LEFTPAREN ? TK_RIGHTPAREN : TK_RIGHTBRACKET);
@@ -1049,6 +2757,9 @@ var Model = (function () {
           eat(tk2 = tk === TK_LEFTPAREN ? TK_RIGHTPAREN : TK_RIGHTBRACKET);
         }
       }
+      inIntegrand = save;
+      inSetElement = saveSetElement;
+      inNorm = saveNorm;
       // Save the brackets as attributes on the node for later use.
       e.lbrk = tk;
       e.rbrk = tk2;
@@ -1068,14 +2779,22 @@ var Model = (function () {
       while ((t=hd())===TK_CARET) {
         next({oneCharToken: true});
         var t;
-        if ((isMathSymbol(args[0]) || isChemCore()) &&
-            ((t = hd()) === TK_ADD || t === TK_SUB)) {
+        var isCharged = isMathSymbol(args[0]) || isChemCore() ||
+          args[0].op === Model.CST && isNumberSet(args[0].args[0]);
+        if (isCharged && ((t = hd()) === TK_ADD || t === TK_SUB)) {
           next();
-          // Na^+
+          // Na^+, \mathbb{Z}^+
           args.push(unaryNode(tokenToOperator[t], [nodeOne]));
         } else {
+          var saveCharge = inCharge;
+          inCharge = isCharged;
           var n = unaryExpr();
-          if (n.op === Model.VAR && n.args[0] === "\\circ") {
+          inCharge = saveCharge;
+          if (n.op === Model.COMPLEMENT && n.args.length === 0) {
+            // A^{\complement}
+            n = newNode(Model.COMPLEMENT, [args.pop()]);
+            args.push(n);
+          } else if (n.op === Model.VAR && n.args[0] === "\\circ") {
             // 90^{\circ} -> degree 90
             if (hd() === TK_VAR &&
                 lexeme() === "K" || lexeme() === "C" || lexeme() === "F") {
@@ -1083,11 +2802,14 @@ var Model = (function () {
                 args.pop(),
                 unaryNode(Model.VAR, ["\\degree " + lexeme()])]);
               next();
-            } else {
+            } else if (!(n = dmsExpr(args[args.length - 1]))) {
               n = multiplyNode([
                 args.pop(),
                 unaryNode(Model.VAR, ["\\degree"])
               ]);
+            } else {
+              // 30^\circ 15' 20''
+              args.pop();
             }
             args.push(n);
           } else {
@@ -1123,11 +2845,14 @@ var Model = (function () {
               expr,
               unaryNode(Model.VAR, ["\\degree " + lexeme()])]);
             next();
-          } else {
+          } else if (!(t = dmsExpr(expr))) {
             expr = multiplyNode([
               expr,
               unaryNode(Model.VAR, ["\\degree"])
             ]);
+          } else {
+            // 30\degree 15'
+            expr = t;
           }
         } else if (isChemCore() && (t === TK_ADD || t === TK_SUB) && lookahead() === TK_RIGHTBRACE) {
           next();
@@ -1144,12 +2869,14 @@ var Model = (function () {
       var expr;
       switch (t = hd()) {
       case TK_ADD:
-        next();
-        expr = unaryExpr();
-        break;
       case TK_SUB:
         next();
-        expr = negate(unaryExpr());
+        if (inCharge && hd() === TK_RIGHTBRACE) {
+          // Na^{+}, \mathbb{Z}^{-}
+          expr = unaryNode(tokenToOperator[t], [nodeOne]);
+        } else {
+          expr = t === TK_SUB ? negate(unaryExpr()) : unaryExpr();
+        }
         break;
       case TK_PM:
         next();
@@ -1195,7 +2922,15 @@ var Model = (function () {
         expr = newNode(op, [expr]);
         break;      
       default:
-        if (t === TK_VAR && lexeme() === "$") {
+        if (t === TK_VAR && currencySymbols[lexeme()] &&
+            ((t = lookahead()) === TK_NUM || t === TK_SUB)) {
+          // $5, $-5, €5
+          var symbol = lexeme();
+          next();
+          var amount = hd() === TK_SUB ? (next(), negate(postfixExpr())) : postfixExpr();
+          expr = isMagnitude(amount) ? currencyNode(amount, symbol, false) :
+                 multiplyNode([newNode(Model.VAR, [symbol]), amount]);
+        } else if (t === TK_VAR && lexeme() === "$") {
           next();
           if (hd()) {
             // Give $1 a higher precedence than ordinary multiplication.
@@ -1262,6 +2997,101 @@ var Model = (function () {
       var sym = Model.env[n.args[0]];
       return sym && sym.name ? true : false;    // This is somewhat ad hoc, update as needed
     }
+    // Functions are declared in the environment, as in env["f"] = {type: "function"}.
+    function isFunctionSymbol(n) {
+      if (n.op !== Model.VAR) {
+        return false;
+      }
+      var sym = Model.env[n.args[0]];
+      return sym && sym.type === "function" ? true : false;
+    }
+    // Units are declared in the environment, as in env["m"] = {type: "unit"}.
+    // Identifiers set in \mathrm are also units when they follow a number.
+    function isUnit(n, isUpright) {
+      if (n.op !== Model.VAR || n.args.length > 1) {
+        return false;
+      }
+      var sym = Model.env[n.args[0]];
+      if (sym && sym.type === "unit") {
+        return true;
+      }
+      // Upright e, i and d are constants and the differential, not units.
+      return (isUpright || n.font === "mathrm") && indexOf(["e", "i", "d"], n.args[0]) < 0;
+    }
+    // 5, -5, 1.2 \times 10^{-3}
+    function isMagnitude(n) {
+      return n.op === Model.NUM || n.isScientific ||
+        n.op === Model.SUB && n.args.length === 1 && isMagnitude(n.args[0]);
+    }
+    // Add the units of 'm/s^2' to the numerator and denominator lists as
+    // [unit, exponent] powers. Return false if it isn't a unit expression.
+    function unitFactors(n, exponent, numerator, denominator, isUpright) {
+      isUpright = isUpright || n.font === "mathrm";
+      switch (n.op) {
+      case Model.VAR:
+        if (!isUnit(n, isUpright)) {
+          return false;
+        }
+        (exponent < 0 ? denominator : numerator).push(newNode(Model.POW, [
+          newNode(Model.VAR, [n.args[0]]),
+          numberNode(String(Math.abs(exponent)))
+        ]));
+        return true;
+      case Model.POW:
+        // s^2, s^{-1}
+        var e = n.args[1];
+        var k = e.op === Model.NUM ? +e.args[0] :
+                e.op === Model.SUB && e.args.length === 1 && e.args[0].op === Model.NUM ? -e.args[0].args[0] :
+                NaN;
+        if (isNaN(k) || k % 1 !== 0) {
+          return false;
+        }
+        return unitFactors(n.args[0], exponent * k, numerator, denominator, isUpright);
+      case Model.FRAC:
+        return unitFactors(n.args[0], exponent, numerator, denominator, isUpright) &&
+          unitFactors(n.args[1], -exponent, numerator, denominator, isUpright);
+      case Model.MUL:
+        return every(n.args, function (n) {
+          return unitFactors(n, exponent, numerator, denominator, isUpright);
+        });
+      }
+      return false;
+    }
+    // Make a quantity from the factors of '5\,\mathrm{m/s^2}', or the sum of
+    // quantities from '3 ft 4 in'. Return null if the factors aren't numbers
+    // followed by units.
+    function quantityNode(args) {
+      var quantities = [];
+      var i = 0;
+      while (i < args.length) {
+        if (!isMagnitude(args[i])) {
+          return null;
+        }
+        var magnitude = args[i++];
+        var numerator = [];
+        var denominator = [];
+        while (i < args.length && !isMagnitude(args[i])) {
+          if (!unitFactors(args[i++], 1, numerator, denominator, false)) {
+            return null;
+          }
+        }
+        if (numerator.length === 0 && denominator.length === 0) {
+          return null;
+        }
+        quantities.push(newNode(Model.QUANTITY, [
+          magnitude,
+          newNode(Model.COMMA, numerator),
+          newNode(Model.COMMA, denominator)
+        ]));
+      }
+      if (quantities.length === 1) {
+        return quantities[0];
+      }
+      // 1 h 30 min -> 1 h + 30 min
+      var e = newNode(Model.ADD, quantities);
+      e.isCompoundQuantity = true;
+      return e;
+    }
     //
     function isVar(n, id) {
       assert(typeof id === "undefined" || typeof id === "string", "Internal error in 'isVar()'");
@@ -1274,7 +3104,7 @@ var Model = (function () {
     function multiplicativeExpr() {
       var t, expr, explicitOperator = false, prevExplicitOperator, isFraction, args = [];
       expr = fractionExpr();
-      if (expr.op === Model.MUL && !expr.isBinomial) {
+      if (expr.op === Model.MUL && !expr.isBinomial && !expr.isScientific) {
         // FIXME binomials and all other significant syntax should not be desugared
         // during parsing. It breaks equivLiteral and equivSyntax.
         args = expr.args;
@@ -1282,21 +3112,24 @@ var Model = (function () {
         args = [expr];
       }
       // While lookahead is not a lower precedent operator
-      // FIXME need a better way to organize this condition
-      while((t = hd()) && !isAdditive(t) && !isRelational(t) &&
-            t !== TK_COMMA && !isEquality(t) && t !== TK_RIGHTBRACE &&
-            t !== TK_RIGHTPAREN && t !== TK_RIGHTBRACKET &&
-            t !== TK_RIGHTARROW && t !== TK_LT && t !== TK_VERTICALBAR &&
-            t !== TK_NEWROW && t !== TK_NEWCOL && t !== TK_END) {
+      while (!isTermEnd(t = hd())) {
         prevExplicitOperator = explicitOperator;  // In case we need to backup one operator
         explicitOperator = false;
         if (isMultiplicative(t)) {
           next();
           explicitOperator = true;
+          if (isDifferential(hd())) {
+            // \oint_C F \cdot dr, the differential ends the integrand.
+            break;
+          }
         }
         expr = fractionExpr();
         if (t === TK_DIV) {
           expr = newNode(Model.POW, [expr, nodeMinusOne]);
+        } else if (t === TK_BMOD || t === TK_MODULUS) {
+          // 2x \bmod 5 -> (2x) mod 5
+          expr = binaryNode(Model.MOD, [args.length > 1 ? multiplyNode(args) : args[0], expr]);
+          args = [];
         }
         if (isChemCore() && t === TK_LEFTPAREN && isVar(args[args.length-1], "M")) {
           // M(x) -> \M(x)
@@ -1338,23 +3171,40 @@ var Model = (function () {
         }
         if (expr.op === Model.MUL &&
             !expr.isScientific &&
-            !expr.isBinomial) {
+            !expr.isBinomial &&
+            expr.font !== "mathrm") {
+          // Keep an upright group such as \mathrm{N \cdot m} as one factor.
           args = args.concat(expr.args);
         } else {
           args.push(expr);
         }
       }
       if (args.length > 1) {
-        return multiplyNode(args);
+        // Check for currency codes first, so that '5\,\mathrm{USD}' is an amount.
+        return suffixCurrencyNode(args) || quantityNode(args) || multiplyNode(args);
       } else {
         return args[0];
       }
       //
       function isMultiplicative(t) {
-        return t === TK_MUL || t === TK_DIV || t === TK_SLASH; // / is only multiplicative for parsing
+        return t === TK_MUL || t === TK_DIV || t === TK_SLASH || // / is only multiplicative for parsing
+               t === TK_BMOD || t === TK_MODULUS;
       }
     }
 
+    // Check if token 't' ends a product term.
+    // FIXME need a better way to organize this condition
+    function isTermEnd(t) {
+      return !t || isAdditive(t) || isRelational(t) ||
+        t === TK_COMMA || isEquality(t) || t === TK_RIGHTBRACE ||
+        t === TK_RIGHTPAREN || t === TK_RIGHTBRACKET ||
+        t === TK_RIGHTARROW || t === TK_LT || t === TK_VERTICALBAR ||
+        t === TK_NEWROW || t === TK_NEWCOL || t === TK_END ||
+        t === TK_COLON || isSetOperator(t) || isLogical(t) || t === TK_NOT ||
+        t === TK_RFLOOR || t === TK_RCEIL || t === TK_NORM && inNorm || t === TK_RNORM || t === TK_RANGLE ||
+        t === TK_PMOD || inCongruence && isModulus(t) || isDifferential(t);
+    }
+
     function isNumber(n) {
       return n.op === Model.NUM;
     }
@@ -1435,6 +3285,10 @@ var Model = (function () {
       } else if (n.op === Model.MUL) {
         n.args.unshift(negate(n.args.shift()));
         return n;
+      } else if (n.op === Model.CURRENCY) {
+        // -$5 -> $-5
+        n.args[0] = negate(n.args[0]);
+        return n;
       }
       return unaryNode(Model.SUB, [n]);
     }
@@ -1448,7 +3302,8 @@ var Model = (function () {
       var t;
       while (isAdditive(t = hd())) {
         next();
-        var expr2 = multiplicativeExpr();
+        // \int x^2 + dx, the last term is just the differential.
+        var expr2 = isDifferential(hd()) ? nodeOne : multiplicativeExpr();
         switch(t) {
         case TK_BACKSLASH:
           expr = binaryNode(Model.BACKSLASH, [expr, expr2]);
@@ -1467,9 +3322,38 @@ var Model = (function () {
       return expr;
     }
     //
+    function isSetOperator(t) {
+      return t === TK_CUP || t === TK_CAP || t === TK_SETMINUS;
+    }
+    // Parse 'A \cup B', 'A \setminus B'
+    function unionExpr() {
+      var expr = intersectionExpr();
+      var t;
+      while ((t = hd()) === TK_CUP || t === TK_SETMINUS) {
+        next();
+        var expr2 = intersectionExpr();
+        expr = binaryNode(tokenToOperator[t], [expr, expr2], t === TK_CUP /*flatten*/);
+      }
+      return expr;
+    }
+    // Parse 'A \cap B'
+    function intersectionExpr() {
+      var expr = additiveExpr();
+      while (hd() === TK_CAP) {
+        next();
+        expr = binaryNode(Model.CAP, [expr, additiveExpr()], true /*flatten*/);
+      }
+      return expr;
+    }
+    //
     function isRelational(t) {
       return t === TK_LT || t === TK_LE || t === TK_GT || t === TK_GE ||
-             t === TK_IN || t === TK_TO || t === TK_COLON;
+             t === TK_IN || t === TK_TO || t === TK_COLON && !inSetElement ||
+             t === TK_NOTIN || t === TK_SUBSET || t === TK_SUBSETEQ ||
+             t === TK_SUPSET || t === TK_SUPSETEQ || t === TK_SIM ||
+             t === TK_SIMEQ || t === TK_CONG || t === TK_PROPTO ||
+             t === TK_PARALLEL || t === TK_PERP || t === TK_LL || t === TK_GG ||
+             t === TK_NLESS || t === TK_NGTR;
     }
     // Parse 'x < y'
     function relationalExpr() {
@@ -1478,7 +3362,7 @@ var Model = (function () {
         // Leading '=' so synthesize a variable.
         var expr = newNode(Model.VAR, ["_"]);
       } else {
-        var expr = additiveExpr();
+        var expr = unionExpr();
       }
       var args = [];
       while (isRelational(t = hd())) {
@@ -1488,7 +3372,7 @@ var Model = (function () {
           // Trailing '=' so synthesize a variable.
           var expr2 = newNode(Model.VAR, ["_"]);
         } else {
-          var expr2 = additiveExpr();
+          var expr2 = unionExpr();
         }
         expr = newNode(tokenToOperator[t], [expr, expr2]);
         args.push(expr);
@@ -1499,12 +3383,33 @@ var Model = (function () {
       } else if (args.length === 1) {
         return args[0];
       } else {
-        return newNode(Model.COMMA, args);
+        var e = newNode(Model.COMMA, args);
+        e.isChained = true;
+        return e;
       }
     }
     // Parse 'x = 10'
     function isEquality(t) {
-      return t === TK_EQL || t === TK_NE || t === TK_APPROX;
+      return t === TK_EQL || t === TK_NE || t === TK_APPROX || t === TK_EQUIV;
+    }
+    // Check for the start of '\pmod{n}', '\mod n' and '(\text{mod } n)'.
+    function isModulus(t) {
+      return t === TK_PMOD || t === TK_MODULUS ||
+        t === TK_LEFTPAREN && lookahead() === TK_MODULUS;
+    }
+    // Parse '\pmod{n}', '\mod n' and '(\text{mod } n)'.
+    function modulusExpr() {
+      var e;
+      if (hd() === TK_LEFTPAREN) {
+        next();
+        eat(TK_MODULUS);
+        e = additiveExpr();
+        eat(TK_RIGHTPAREN);
+      } else {
+        next();
+        e = primaryExpr();
+      }
+      return e;
     }
     function equalExpr() {
       if (isEquality(hd())) {
@@ -1518,13 +3423,21 @@ var Model = (function () {
       while (isEquality(t = hd()) || t === TK_RIGHTARROW) {
         // x = y = z -> [x = y, y = z]
         next();
+        var save = inCongruence;
+        inCongruence = t === TK_EQUIV;
         if (hd() === 0) {
           // Trailing '=' so synthesize a variable.
           var expr2 = newNode(Model.VAR, ["_"]);
         } else {
-          var expr2 = additiveExpr();
+          var expr2 = unionExpr();
+        }
+        inCongruence = save;
+        if (t === TK_EQUIV && isModulus(hd())) {
+          // a \equiv b \pmod{n}
+          expr = newNode(Model.CONGRUENCE, [expr, expr2, modulusExpr()]);
+        } else {
+          expr = newNode(tokenToOperator[t], [expr, expr2]);
         }
-        expr = newNode(tokenToOperator[t], [expr, expr2]);
         args.push(expr);
         expr = expr2;
       }
@@ -1533,36 +3446,177 @@ var Model = (function () {
       } else if (args.length === 1) {
         return args[0];
       } else {
-        return newNode(Model.COMMA, args);
+        var e = newNode(Model.COMMA, args);
+        e.isChained = true;
+        return e;
       }
     }
+    //
+    function isLogical(t) {
+      return t === TK_AND || t === TK_OR || t === TK_IMPLIES || t === TK_IFF ||
+             t === TK_THEREFORE;
+    }
+    // Parse '\neg x > 1'
+    function notExpr() {
+      if (hd() === TK_NOT) {
+        next();
+        return unaryNode(Model.NOT, [notExpr()]);
+      }
+      return equalExpr();
+    }
+    // Parse 'x > 1 \land x < 3'
+    function andExpr() {
+      var expr = notExpr();
+      while (hd() === TK_AND) {
+        next();
+        expr = binaryNode(Model.AND, [expr, notExpr()], true /*flatten*/);
+      }
+      return expr;
+    }
+    // Parse 'x > 1 \lor x < -1'
+    function orExpr() {
+      var expr = andExpr();
+      while (hd() === TK_OR) {
+        next();
+        expr = binaryNode(Model.OR, [expr, andExpr()], true /*flatten*/);
+      }
+      return expr;
+    }
+    // Parse 'p \implies q', 'p \iff q', '\therefore x = 2'
+    function implicationExpr() {
+      var t;
+      if (hd() === TK_THEREFORE) {
+        next();
+        return unaryNode(Model.THEREFORE, [implicationExpr()]);
+      }
+      var expr = orExpr();
+      if ((t = hd()) === TK_IMPLIES || t === TK_IFF || t === TK_THEREFORE) {
+        // Implication is right associative.
+        next();
+        expr = binaryNode(tokenToOperator[t], [expr, implicationExpr()]);
+      }
+      return expr;
+    }
     // Parse 'a, b, c, d'
     function commaExpr( ) {
-      var expr = equalExpr();
+      var expr = implicationExpr();
       var args = [expr];
       var t;
       while ((t = hd())===TK_COMMA) {
         next();
-        args.push(equalExpr());
+        args.push(implicationExpr());
       }
       if (args.length > 1) {
-        return newNode(tokenToOperator[TK_COMMA], args);
+        // 1, 2, \ldots, n
+        var isSequence = some(args, function (n) {
+          return n.op === Model.ELLIPSIS;
+        });
+        return newNode(isSequence ? Model.SEQUENCE : tokenToOperator[TK_COMMA], args);
       } else {
         return expr;
       }
     }
+    // Reactions have their own grammar, so scan ahead for a reaction arrow.
+    function hasReactionArrow() {
+      var tokens = scanner(src);
+      var t;
+      while ((t = tokens.start())) {
+        if (isReactionArrow(t)) {
+          return true;
+        }
+      }
+      return false;
+    }
+    function isReactionArrow(t) {
+      return t === TK_RIGHTARROW || t === TK_RIGHTLEFTHARPOONS ||
+        t === TK_LEFTRIGHTARROW || t === TK_XRIGHTARROW;
+    }
+    // Parse '2H_2(g) + O_2(g) \rightarrow 2H_2O(l)'
+    function reactionExpr() {
+      var reactants = reactionSide();
+      var t = hd();
+      assert(isReactionArrow(t), message(1001, ["\\rightarrow", lexeme()]));
+      var arrow = t === TK_RIGHTLEFTHARPOONS ? "\\rightleftharpoons" :
+                  t === TK_LEFTRIGHTARROW ? "\\leftrightarrow" :
+                  t === TK_XRIGHTARROW ? "\\xrightarrow" : "\\rightarrow";
+      next();
+      var condition = nodeNone;
+      if (t === TK_XRIGHTARROW) {
+        // \xrightarrow{\Delta}
+        condition = braceExpr();
+      }
+      var e = newNode(Model.REACTION, [reactants, reactionSide(), condition]);
+      e.arrow = arrow;
+      return e;
+    }
+    // Parse '2H_2 + O_2'
+    function reactionSide() {
+      var args = [speciesExpr()];
+      while (hd() === TK_ADD) {
+        next();
+        args.push(speciesExpr());
+      }
+      return newNode(Model.COMMA, args);
+    }
+    // Parse '2H_2O(l)', 'CuSO_4 \cdot 5H_2O(s)'
+    function speciesExpr() {
+      var t, n, name, args = [];
+      var coeff = nodeOne;
+      var state = nodeNone;
+      if (hd() === TK_NUM || hd() === TK_FRAC) {
+        coeff = primaryExpr();
+      }
+      while ((t = hd()) && t !== TK_ADD && t !== TK_MUL && t !== TK_RIGHTBRACE &&
+             !isReactionArrow(t)) {
+        n = subscriptExpr();
+        if (n.lbrk === TK_LEFTPAREN && (name = stateName(n))) {
+          // NaCl(aq)
+          state = newNode(Model.VAR, [name]);
+          break;
+        }
+        args.push(n);
+      }
+      assert(args.length > 0, message(1009, [lexeme()]));
+      var species = args.length > 1 ? multiplyNode(args) : args[0];
+      if (state === nodeNone && hd() === TK_MUL) {
+        // Hydrate, CuSO_4 \cdot 5H_2O
+        next();
+        var water = speciesExpr();
+        species = newNode(Model.HYDRATE, [species, water.args[0], water.args[1]]);
+        state = water.args[2];
+      }
+      return newNode(Model.SPECIES, [coeff, species, state]);
+    }
+    // (aq), (s), (l), (g)
+    function stateName(n) {
+      var name = "";
+      var factors = n.op === Model.MUL ? n.args : [n];
+      if (!every(factors, function (n) {
+        return n.op === Model.VAR && n.args.length === 1;
+      })) {
+        return null;
+      }
+      forEach(factors, function (n) {
+        name += n.args[0];
+      });
+      return indexOf(["aq", "s", "l", "g"], name) >= 0 ? name : null;
+    }
     // Root syntax.
     function expr() {
       start();
       if (hd()) {
-        var n = commaExpr();
-        if (n.op !== Model.COMMA &&
+        var n = isChemCore() && hasReactionArrow() ? reactionExpr() : commaExpr();
+        if (n.op !== Model.COMMA && n.op !== Model.SET && n.op !== Model.SETBUILDER &&
+            n.op !== Model.SEQUENCE &&
             n.lbrk === TK_LEFTBRACE &&
             n.rbrk === TK_RIGHTBRACE) {
           // Top level {..} is a set, so make a comma expr.
           n = newNode(Model.COMMA, [n]);
         }
         assert(!hd(), message(1003, [scan.pos(), scan.lexeme()]));
+        if (isCommentMode) {
+          n.isCommentMode = true;
+        }
         return n;
       }
       // No meaningful input. Return a dummy node to avoid choking.
@@ -1585,9 +3639,13 @@ var Model = (function () {
         "\\times": TK_MUL,
         "\\div": TK_DIV,
         "\\dfrac": TK_FRAC,
+        "\\tfrac": TK_FRAC,
+        "\\cfrac": TK_FRAC,
         "\\frac": TK_FRAC,
         "\\sqrt": TK_SQRT,
         "\\vec": TK_VEC,
+        "\\dot": TK_DOT,
+        "\\ddot": TK_DDOT,
         "\\pm": TK_PM,
         "\\sin": TK_SIN,
         "\\cos": TK_COS,
@@ -1598,6 +3656,21 @@ var Model = (function () {
         "\\arcsin": TK_ARCSIN,
         "\\arccos": TK_ARCCOS,
         "\\arctan": TK_ARCTAN,
+        "\\arcsec": TK_ARCSEC,
+        "\\arccsc": TK_ARCCSC,
+        "\\arccot": TK_ARCCOT,
+        "\\sinh": TK_SINH,
+        "\\cosh": TK_COSH,
+        "\\tanh": TK_TANH,
+        "\\coth": TK_COTH,
+        "\\sech": TK_SECH,
+        "\\csch": TK_CSCH,
+        "\\det": TK_DET,
+        "\\gcd": TK_GCD,
+        "\\max": TK_MAX,
+        "\\min": TK_MIN,
+        "\\arg": TK_ARG,
+        "\\operatorname": TK_OPERATORNAME,
         "\\ln": TK_LN,
         "\\lg": TK_LG,
         "\\log": TK_LOG,
@@ -1607,6 +3680,9 @@ var Model = (function () {
         "\\Big": null,
         "\\bigg": null,
         "\\Bigg": null,
+        "\\middle": null,
+        "\\displaystyle": null,
+        "\\textstyle": null,
         "\\ ": null,
         "\\quad": null,
         "\\qquad": null,
@@ -1616,22 +3692,72 @@ var Model = (function () {
         "\\textbf": TK_TEXT,
         "\\lt": TK_LT,
         "\\le": TK_LE,
+        "\\leq": TK_LE,
+        "\\leqslant": TK_LE,
         "\\gt": TK_GT,
         "\\ge": TK_GE,
+        "\\geq": TK_GE,
+        "\\geqslant": TK_GE,
         "\\ne": TK_NE,
+        "\\neq": TK_NE,
+        "\\nless": TK_NLESS,
+        "\\ngtr": TK_NGTR,
+        "\\ll": TK_LL,
+        "\\gg": TK_GG,
+        "\\sim": TK_SIM,
+        "\\simeq": TK_SIMEQ,
+        "\\cong": TK_CONG,
+        "\\propto": TK_PROPTO,
+        "\\parallel": TK_PARALLEL,
+        "\\perp": TK_PERP,
+        "\\not": TK_NOT_PREFIX,
         "\\approx": TK_APPROX,
+        "\\equiv": TK_EQUIV,
+        "\\pmod": TK_PMOD,
+        "\\bmod": TK_BMOD,
+        "\\mod": TK_MODULUS,
         "\\exists": TK_EXISTS,
         "\\in": TK_IN,
+        "\\notin": TK_NOTIN,
+        "\\subset": TK_SUBSET,
+        "\\subseteq": TK_SUBSETEQ,
+        "\\supset": TK_SUPSET,
+        "\\supseteq": TK_SUPSETEQ,
+        "\\cup": TK_CUP,
+        "\\cap": TK_CAP,
+        "\\setminus": TK_SETMINUS,
+        "\\complement": TK_COMPLEMENT,
+        "\\emptyset": TK_EMPTYSET,
+        "\\varnothing": TK_EMPTYSET,
         "\\forall": TK_FORALL,
+        "\\land": TK_AND,
+        "\\lor": TK_OR,
+        "\\neg": TK_NOT,
+        "\\lnot": TK_NOT,
+        "\\implies": TK_IMPLIES,
+        "\\Rightarrow": TK_IMPLIES,
+        "\\iff": TK_IFF,
+        "\\Leftrightarrow": TK_IFF,
+        "\\therefore": TK_THEREFORE,
         "\\lim": TK_LIM,
         "\\exp": TK_EXP,
+        "\\Re": TK_RE,
+        "\\angle": TK_ANGLE,
+        "\\triangle": TK_TRIANGLE,
+        "\\Im": TK_IM,
         "\\to": TK_TO,
         "\\sum": TK_SUM,
         "\\int": TK_INT,
+        "\\iint": TK_IINT,
+        "\\iiint": TK_IIINT,
+        "\\oint": TK_OINT,
         "\\prod": TK_PROD,
         "\\%": TK_PERCENT,
         "\\rightarrow": TK_RIGHTARROW,
         "\\longrightarrow": TK_RIGHTARROW,
+        "\\rightleftharpoons": TK_RIGHTLEFTHARPOONS,
+        "\\leftrightarrow": TK_LEFTRIGHTARROW,
+        "\\xrightarrow": TK_XRIGHTARROW,
         "\\binom": TK_BINOM,
         "\\begin": TK_BEGIN,
         "\\end": TK_END,
@@ -1643,11 +3769,142 @@ var Model = (function () {
         "\\format": TK_FORMAT,
         "\\overline": TK_OVERLINE,
         "\\overset": TK_OVERSET,
+        "\\boxed": TK_BOXED,
+        "\\cancel": TK_CANCEL,
+        "\\bcancel": TK_BCANCEL,
+        "\\color": TK_COLOR,
+        "\\textcolor": TK_TEXTCOLOR,
+        "\\underbrace": TK_UNDERBRACE,
+        "\\overbrace": TK_OVERBRACE,
+        "\\phantom": TK_PHANTOM,
+        "\\hat": TK_ACCENT,
+        "\\widehat": TK_ACCENT,
+        "\\bar": TK_ACCENT,
+        "\\tilde": TK_ACCENT,
+        "\\widetilde": TK_ACCENT,
+        "\\check": TK_ACCENT,
+        "\\overrightarrow": TK_ACCENT,
+        "\\overleftrightarrow": TK_ACCENT,
         "\\underset": TK_UNDERSET,
         "\\backslash": TK_BACKSLASH,
-        "\\mathbf": TK_MATHBF,
-        "\\abs": TK_ABS
+        "\\mathbf": TK_MATHFONT,
+        "\\mathrm": TK_MATHFONT,
+        "\\mathit": TK_MATHFONT,
+        "\\mathbb": TK_MATHFONT,
+        "\\mathcal": TK_MATHFONT,
+        "\\abs": TK_ABS,
+        "\\lfloor": TK_LFLOOR,
+        "\\rfloor": TK_RFLOOR,
+        "\\lceil": TK_LCEIL,
+        "\\rceil": TK_RCEIL,
+        "\\Vert": TK_NORM,
+        "\\lVert": TK_LNORM,
+        "\\rVert": TK_RNORM,
+        "\\langle": TK_LANGLE,
+        "\\rangle": TK_RANGLE,
+        "\\infty": TK_INFTY,
+        "\\ldots": TK_ELLIPSIS,
+        "\\cdots": TK_ELLIPSIS,
+        "\\dots": TK_ELLIPSIS
       };
+      // Unicode characters are scanned as the LaTeX they stand for.
+      var unicodeToLaTeX = {
+        "\u00a0": " ",  // no-break space
+        "\u2009": " ",  // thin space
+        "\u200a": " ",  // hair space
+        "\u202f": " ",  // narrow no-break space
+        "\u00d7": "\\times",  // ×
+        "\u00f7": "\\div",  // ÷
+        "\u00b7": "\\cdot",  // ·
+        "\u22c5": "\\cdot",  // ⋅
+        "\u2212": "-",  // −
+        "\u2013": "-",  // –
+        "\u00b1": "\\pm",  // ±
+        "\u2264": "\\le",  // ≤
+        "\u2265": "\\ge",  // ≥
+        "\u2260": "\\ne",  // ≠
+        "\u2248": "\\approx",  // ≈
+        "\u2261": "\\equiv",  // ≡
+        "\u223c": "\\sim",  // ∼
+        "\u2245": "\\cong",  // ≅
+        "\u221d": "\\propto",  // ∝
+        "\u2225": "\\parallel",  // ∥
+        "\u22a5": "\\perp",  // ⊥
+        "\u221e": "\\infty",  // ∞
+        "\u2208": "\\in",  // ∈
+        "\u2209": "\\notin",  // ∉
+        "\u222a": "\\cup",  // ∪
+        "\u2229": "\\cap",  // ∩
+        "\u2282": "\\subset",  // ⊂
+        "\u2286": "\\subseteq",  // ⊆
+        "\u2283": "\\supset",  // ⊃
+        "\u2287": "\\supseteq",  // ⊇
+        "\u2205": "\\emptyset",  // ∅
+        "\u2200": "\\forall",  // ∀
+        "\u2203": "\\exists",  // ∃
+        "\u00ac": "\\neg",  // ¬
+        "\u2227": "\\land",  // ∧
+        "\u2228": "\\lor",  // ∨
+        "\u21d2": "\\implies",  // ⇒
+        "\u21d4": "\\iff",  // ⇔
+        "\u2192": "\\rightarrow",  // →
+        "\u2234": "\\therefore",  // ∴
+        "\u221a": "\\sqrt",  // √
+        "\u221b": "\\sqrt[3]",  // ∛
+        "\u222b": "\\int",  // ∫
+        "\u2211": "\\sum",  // ∑
+        "\u220f": "\\prod",  // ∏
+        "\u2202": "\\partial",  // ∂
+        "\u00b0": "\\degree",  // °
+        "\u2032": "'",  // ′
+        "\u2033": "''",  // ″
+        "\u20ac": "\\euro",  // €
+        "\u00a3": "\\pounds",  // £
+        "\u00a5": "\\yen",  // ¥
+        "\u2026": "\\ldots",  // …
+        "\u22ef": "\\cdots",  // ⋯
+        "\u00bd": "\\frac{1}{2}",  // ½
+        "\u2153": "\\frac{1}{3}",  // ⅓
+        "\u2154": "\\frac{2}{3}",  // ⅔
+        "\u00bc": "\\frac{1}{4}",  // ¼
+        "\u00be": "\\frac{3}{4}",  // ¾
+        "\u2155": "\\frac{1}{5}",  // ⅕
+        "\u2156": "\\frac{2}{5}",  // ⅖
+        "\u2157": "\\frac{3}{5}",  // ⅗
+        "\u2158": "\\frac{4}{5}",  // ⅘
+        "\u2159": "\\frac{1}{6}",  // ⅙
+        "\u215a": "\\frac{5}{6}",  // ⅚
+        "\u2150": "\\frac{1}{7}",  // ⅐
+        "\u215b": "\\frac{1}{8}",  // ⅛
+        "\u215c": "\\frac{3}{8}",  // ⅜
+        "\u215d": "\\frac{5}{8}",  // ⅝
+        "\u215e": "\\frac{7}{8}",  // ⅞
+        "\u2151": "\\frac{1}{9}",  // ⅑
+        "\u2152": "\\frac{1}{10}",  // ⅒
+        "\u03bf": "o",  // ο
+        "\u0391": "A",  // Α
+        "\u0392": "B",  // Β
+        "\u0395": "E",  // Ε
+        "\u0396": "Z",  // Ζ
+        "\u0397": "H",  // Η
+        "\u0399": "I",  // Ι
+        "\u039a": "K",  // Κ
+        "\u039c": "M",  // Μ
+        "\u039d": "N",  // Ν
+        "\u039f": "O",  // Ο
+        "\u03a1": "P",  // Ρ
+        "\u03a4": "T",  // Τ
+        "\u03a7": "X"  // Χ
+      };
+      // x², x₁
+      var SUPERSCRIPTS = "\u2070\u00b9\u00b2\u00b3\u2074\u2075\u2076\u2077\u2078\u2079\u207a\u207b\u207c\u207d\u207e\u207f";
+      var SUBSCRIPTS = "\u2080\u2081\u2082\u2083\u2084\u2085\u2086\u2087\u2088\u2089\u208a\u208b\u208c\u208d\u208e\u2099";
+      var SCRIPT_CHARS = "0123456789+-=()n";
+      // φ -> \varphi
+      var unicodeToSymbol = {};
+      forEach(keys(Model.symbols), function (name) {
+        unicodeToSymbol[Model.symbols[name].unicode] = name;
+      });
       var identifiers = keys(env);
       function isAlphaCharCode(c) {
         return c >= 65 && c <= 90 ||
@@ -1683,8 +3940,10 @@ var Model = (function () {
             case 92:
               curIndex++;
               return TK_NEWROW;   // double backslash = new row
-            case 123: // left brace
             case 124: // vertical bar
+              curIndex++;
+              return TK_NORM;     // \| = double bar
+            case 123: // left brace
             case 125: // right brace
               // Erase backslash.
               return src.charCodeAt(curIndex++);
@@ -1707,6 +3966,13 @@ var Model = (function () {
             }
             return c; // char code is the token id
           case 37:  // percent
+            if (isCommentMode) {
+              // Skip to the end of the line.
+              while (curIndex < src.length && src.charCodeAt(curIndex) !== 10) {
+                curIndex++;
+              }
+              continue;
+            }
           case 40:  // left paren
           case 41:  // right paren
           case 42:  // asterisk
@@ -1740,6 +4006,12 @@ var Model = (function () {
             }
             return TK_GT;
           default:
+            if (c === 46 && indexOf(src.substring(curIndex), "..") === 0) {
+              // ...
+              curIndex += 2;
+              lexeme = "...";
+              return TK_ELLIPSIS;
+            }
             if (isAlphaCharCode(c) ||
                 c === "'".charCodeAt(0)) {
               return variable(c);
@@ -1751,6 +4023,9 @@ var Model = (function () {
               }
               return number(c);
             }
+            else if (c > 127) {
+              return unicode(c, options);
+            }
             else {
               assert(false, message(1004, [String.fromCharCode(c), c]));
               return 0;
@@ -1759,9 +4034,20 @@ var Model = (function () {
         }
         return 0;
       }
-      // Recognize 1, 1.2, 0.3, .3
+      // Recognize 1, 1.2, 0.3, .3 and, with the 'allowENotation' option, 1.2e-3
+      // and with the 'allowBasePrefix' option, 0x1F, 0b1010, 0o17.
       var lastSeparator;
       function number(c) {
+        var m;
+        if (c === 48 && Model.option("allowBasePrefix") &&
+            (m = /^[xXbBoO][0-9a-zA-Z]+/.exec(src.substring(curIndex)))) {
+          // The digits run to the next non-alphanumeric, so 0b102 is an error.
+          assert(/^([xX][0-9a-fA-F]+|[bB][01]+|[oO][0-7]+)$/.test(m[0]),
+                 message(1014, ["0" + m[0]]));
+          lexeme += "0" + m[0];
+          curIndex += m[0].length;
+          return TK_NUM;
+        }
         while (isNumberCharCode(c) ||
                getDecimalSeparator() === String.fromCharCode(c) ||
                (lastSeparator = matchThousandsSeparator(String.fromCharCode(c), lastSeparator)) &&
@@ -1777,6 +4063,11 @@ var Model = (function () {
         if (lexeme === "." && indexOf(src.substring(curIndex), "overline") === 0) {
           // .\overline --> 0.\overline
           lexeme = "0.";
+        } else if ((c === 101 || c === 69) && lexeme !== "." && Model.option("allowENotation") &&
+                   (m = /^[+-]?[0-9]+/.exec(src.substring(curIndex)))) {
+          // 1.2e-3, 6.02E23
+          lexeme += String.fromCharCode(c) + m[0];
+          curIndex += m[0].length + 1;
         }
         curIndex--;
         return TK_NUM;
@@ -1795,7 +4086,7 @@ var Model = (function () {
           c = src.charCodeAt(curIndex++);
           var ch = String.fromCharCode(c);
           var prefix = lexeme + ch;
-          var match = some(identifiers, function (u) {
+          var match = isUnitGroup && isAlphaCharCode(c) || some(identifiers, function (u) {
             return indexOf(u, prefix) === 0;
           });
           if (!match) {
@@ -1805,14 +4096,42 @@ var Model = (function () {
         }
         // Scan trailing primes ('). This handles single character identifier
         // with trailing primes.
-        while (c === "'".charCodeAt(0)) {
+        while (c === "'".charCodeAt(0) || c === 0x2032 || c === 0x2033) {
+          lexeme += c === 0x2033 ? "''" : "'";   // ′, ″
           c = src.charCodeAt(curIndex++);
-          var ch = String.fromCharCode(c);
-          lexeme += ch;
         }
         curIndex--;
         return TK_VAR;
       }
+      // Recognize ×, π, x², ½. The character (or run of script characters) is
+      // replaced in the source by its LaTeX and scanning starts over.
+      function unicode(c, options) {
+        var ch = String.fromCharCode(c);
+        var end = curIndex;
+        var tex = unicodeToLaTeX[ch] || unicodeToSymbol[ch];
+        var scripts = indexOf(SUPERSCRIPTS, ch) >= 0 ? SUPERSCRIPTS :
+                      indexOf(SUBSCRIPTS, ch) >= 0 ? SUBSCRIPTS : null;
+        if (scripts) {
+          // x²³ -> x^{23}
+          tex = "";
+          end--;
+          while (end < src.length && indexOf(scripts, src.charAt(end)) >= 0) {
+            tex += SCRIPT_CHARS.charAt(indexOf(scripts, src.charAt(end++)));
+          }
+          tex = (scripts === SUPERSCRIPTS ? "^{" : "_{") + tex + "}";
+        } else if (tex === void 0) {
+          // Other letters are identifiers.
+          assert(ch.toUpperCase() !== ch.toLowerCase(), message(1004, [ch, c]));
+          lexeme += ch;
+          return TK_VAR;
+        } else if (/\\[a-zA-Z]+$/.test(tex)) {
+          // \pi r
+          tex += " ";
+        }
+        src = src.substring(0, curIndex - 1) + tex + src.substring(end);
+        curIndex--;
+        return start(options);
+      }
       // Recognize \frac, \sqrt.
       function latex() {
         var c = src.charCodeAt(curIndex++);
@@ -1835,8 +4154,47 @@ var Model = (function () {
           curIndex--;
         }
         var tk = lexemeToToken[lexeme];
-        if (tk === void 0) {
+        if ((tk === TK_RIGHTLEFTHARPOONS || tk === TK_LEFTRIGHTARROW || tk === TK_XRIGHTARROW) &&
+            !isChemCore()) {
+          // Only reactions have these arrows.
+          tk = void 0;
+        }
+        if (lexeme === "\\mathrm" && indexOf(src.substring(curIndex), "{d}") === 0) {
+          // \mathrm{d} -> d, as in \mathrm{d}x
+          curIndex += 3;
+          lexeme = "d";
+          tk = TK_VAR;
+        } else if (tk === void 0) {
           tk = TK_VAR;   // e.g. \\theta
+          var symbol = Model.symbols[lexeme];
+          if (symbol && symbol.variantOf && Model.option("ignoreSymbolVariants")) {
+            // \varphi -> \phi
+            lexeme = symbol.variantOf;
+          }
+        } else if (tk === TK_NOT_PREFIX) {
+          // \not=, \not<, \not>, \not\in
+          tk = start();
+          switch (tk) {
+          case TK_EQL:
+            tk = TK_NE;
+            break;
+          case TK_LT:
+            tk = TK_NLESS;
+            break;
+          case TK_GT:
+            tk = TK_NGTR;
+            break;
+          case TK_IN:
+            tk = TK_NOTIN;
+            break;
+          default:
+            assert(false, message(1006, ["\\not" + lexeme]));
+            break;
+          }
+          lexeme = "\\not" + lexeme;
+        } else if (tk === TK_BEGIN || tk === TK_END || tk === TK_OPERATORNAME) {
+          // \begin{cases} -> cases, \operatorname{sgn} -> sgn
+          lexeme = braceText();
         } else if (tk === TK_TEXT) {
           var c = src.charCodeAt(curIndex++);
           // Skip whitespace before '{'
@@ -1858,7 +4216,13 @@ var Model = (function () {
             c = src.charCodeAt(curIndex++);
           }
           assert(lexeme !== "", message(1009, ["\\text"]));
-          if (Model.option("ignoreText")) {
+          if (lexeme === "mod") {
+            tk = TK_MODULUS;
+          } else if (lexeme === "and") {
+            tk = TK_AND;
+          } else if (lexeme === "or") {
+            tk = TK_OR;
+          } else if (Model.option("ignoreText")) {
             tk = null;   // treat as whitespace
           } else {
             tk = TK_VAR; // treat as variable
@@ -1866,9 +4230,35 @@ var Model = (function () {
         }
         return tk;
       }
+      // Read the raw contents of the '{..}' that follows a command.
+      function braceText() {
+        var c = src.charCodeAt(curIndex);
+        while (c === 32 || c === 9 || c === 10 || c === 13) {
+          c = src.charCodeAt(++curIndex);
+        }
+        assert(c === 123, message(1009, [lexeme]));
+        // Find the matching '}', skipping nested groups and escaped braces.
+        var depth = 0;
+        var end = curIndex;
+        for (; end < src.length; end++) {
+          c = src.charCodeAt(end);
+          if (c === 92) {
+            end++;
+          } else if (c === 123) {
+            depth++;
+          } else if (c === 125 && --depth === 0) {
+            break;
+          }
+        }
+        assert(end < src.length, message(1009, [lexeme]));
+        var text = src.substring(curIndex + 1, end);
+        curIndex = end + 1;
+        return text;
+      }
       // Return a scanner object.
       return {
         start : start ,
+        braceText : braceText ,
         lexeme : function () { return lexeme } ,
         pos: function() { return curIndex; }
       }
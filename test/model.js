@@ -0,0 +1,660 @@
+/* -*- Mode: js; js-indent-level: 2; indent-tabs-mode: nil; tab-width: 2 -*- */
+/* vim: set shiftwidth=2 tabstop=2 autoindent cindent expandtab: */
+/*
+ * Copyright 2013 Art Compiler LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/*
+  Parser and renderer tests. Run them with
+
+    node test/model.js
+
+  The sources are loaded in the order build/Makefile concatenates them. The
+  host normally supplies Model.option() and BigDecimal, so the tests supply
+  their own: options are set per test, and numbers keep the text they were
+  scanned with.
+*/
+var fs = require("fs");
+var vm = require("vm");
+var path = require("path");
+var assert = require("assert");
+
+var sandbox = {};
+vm.createContext(sandbox);
+vm.runInContext(["backward.js", "assert.js", "trace.js", "ast.js", "model.js"].map(function (file) {
+  return fs.readFileSync(path.join(__dirname, "..", "src", file), "utf8");
+}).join("\n"), sandbox);
+
+function BigDecimal(str) {
+  this.str = str;
+}
+BigDecimal.prototype.toString = function () {
+  return this.str;
+};
+sandbox.BigDecimal = BigDecimal;
+
+var Model = vm.runInContext("Model", sandbox);
+var options = {};
+Model.option = function option(name) {
+  return options[name];
+};
+
+// Parse 'src' into a plain node.
+function parse(src) {
+  return JSON.parse(JSON.stringify(Model.create(src)));
+}
+
+// Render a plain node to LaTeX.
+function render(node) {
+  return Model.create(node).toLaTex(node);
+}
+
+// Write the ops and args of a node as an s-expression, as in '(+ 1 x)'.
+function shape(n) {
+  if (typeof n !== "object") {
+    return JSON.stringify(n);
+  }
+  if (n.op === Model.NUM || n.op === Model.VAR && n.args.length === 1) {
+    return String(n.args[0]);
+  }
+  var args = [];
+  n.args.forEach(function (n) {
+    args.push(shape(n));
+  });
+  return "(" + [n.op].concat(args).join(" ") + ")";
+}
+
+// Check the shape of the node parsed from 'src'.
+function parses(src, expected) {
+  assert.strictEqual(shape(parse(src)), expected, src);
+}
+
+// Check the LaTeX rendered from the node parsed from 'src'.
+function renders(src, expected) {
+  assert.strictEqual(render(parse(src)), expected, src);
+}
+
+// Check that the LaTeX rendered from 'src' parses back to the same shape.
+function roundTrips(src) {
+  var node = parse(src);
+  var tex = render(node);
+  assert.strictEqual(shape(parse(tex)), shape(node), src + " -> " + tex);
+}
+
+// Check that parsing 'src' fails with message 'code'.
+function fails(src, code) {
+  assert.throws(function () {
+    parse(src);
+  }, function (e) {
+    return String(e.message).indexOf(code + ":") === 0;
+  }, src);
+}
+
+// Run 'fn' with the options 'opts' set.
+function withOptions(opts, fn) {
+  var save = options;
+  options = opts;
+  try {
+    fn();
+  } finally {
+    options = save;
+  }
+}
+
+// Run 'fn' in the environment 'env'.
+function withEnv(env, fn) {
+  Model.pushEnv(env);
+  try {
+    fn();
+  } finally {
+    Model.popEnv();
+  }
+}
+
+var tests = [];
+function test(name, fn) {
+  tests.push({name: name, fn: fn});
+}
+
+test("integrals", function () {
+  parses("\\int_a^b x^2 dx", "(int a b (^ x 2) x)");
+  parses("\\int x \\,dx", "(int (none 0) (none 0) x x)");
+  parses("\\int dx", "(int (none 0) (none 0) 1 x)");
+  parses("\\iint_D f \\,dx \\,dy", "(iint D (none 0) f (, x y))");
+  parses("\\int \\frac{dx}{x}", "(int (none 0) (none 0) (frac 1 x) x)");
+  parses("\\int x^2 + dx", "(int (none 0) (none 0) (+ (^ x 2) 1) x)");
+  renders("\\int_a^b (x+1)\\,dx", "\\int_{a}^{b} (x + 1) \\, dx");
+  roundTrips("\\int_a^b (x+1)\\,dx");
+  roundTrips("\\int_0^1 x^2 dx");
+  roundTrips("\\int x^2 + dx");
+  parses("\\oint_C F \\cdot dr", "(oint C (none 0) F r)");
+  parses("\\int x \\times dx", "(int (none 0) (none 0) x x)");
+  roundTrips("\\oint_C F \\cdot dr");
+  // Outside an integral 'dx' is a product.
+  parses("dx + 1", "(+ (times d x) 1)");
+});
+
+test("derivatives", function () {
+  parses("\\frac{dy}{dx}", "(deriv y x 1)");
+  parses("\\frac{d^2y}{dx^2}", "(deriv y x 2)");
+  parses("\\frac{d}{dx} x^2", "(deriv (^ x 2) x 1)");
+  parses("\\frac{\\partial^2 f}{\\partial x \\partial y}", "(pderiv f (, x y) 2)");
+  parses("y''", "(deriv y (none 0) 2)");
+  parses("f'(2)", "(apply (deriv f (none 0) 1) 2)");
+  parses("f'(x+1)", "(apply (deriv f (none 0) 1) (+ x 1))");
+  parses("\\dot{x}", "(deriv x t 1)");
+  renders("\\frac{d^2y}{dx^2}", "\\frac{d^{2}y}{dx^{2}}");
+  renders("\\frac{d}{dx}(x^2+1)", "\\frac{d}{dx} ({x^{2}} + 1)");
+  renders("f'(x+1)", "f'(x + 1)");
+  roundTrips("\\frac{d^2y}{dx^2}");
+  roundTrips("\\frac{d}{dx}(x^2+1)");
+  roundTrips("\\frac{d}{dx} 3x");
+  roundTrips("\\frac{\\partial^2 f}{\\partial x^2}");
+  roundTrips("\\frac{\\partial^2 f}{\\partial x \\partial y}");
+  roundTrips("f'(2)");
+  roundTrips("\\ddot{x}");
+  // Ordinary fractions are not derivatives.
+  parses("\\frac{a}{b}", "(frac a b)");
+  parses("\\frac{d}{x}", "(frac d x)");
+  // The denominator exponents must add up to the order.
+  parses("\\frac{dy}{dx^2}", "(frac (times d y) (times d (^ x 2)))");
+  parses("\\frac{d^2y}{dx}", "(frac (times (^ d 2) y) (times d x))");
+  parses("\\frac{dx}{dy dz}", "(frac (times d x) (times d y d z))");
+  parses("\\frac{d^ny}{dx^n}", "(deriv y x n)");
+  parses("\\frac{\\partial^3 f}{\\partial x^2 \\partial y}", "(pderiv f (, x y) 3)");
+});
+
+test("piecewise functions", function () {
+  var cases = "\\begin{cases} x & x > 0 \\\\ -x & \\text{otherwise} \\end{cases}";
+  parses(cases, "(piecewise (col x (gt x 0)) (col (- x) (otherwise)))");
+  parses("\\begin{cases} 1, & \\text{if } x > 0 \\\\ 0 \\end{cases}",
+         "(piecewise (col 1 (gt x 0)) (col 0 (otherwise)))");
+  parses("\\begin{cases} 1 & 0 < x < 1 \\\\ 0 & \\text{otherwise} \\end{cases}",
+         "(piecewise (col 1 (, (lt 0 x) (lt x 1))) (col 0 (otherwise)))");
+  renders("0 < x < 1", "0 < x < 1");
+  renders("x = y = z", "x = y = z");
+  roundTrips(cases);
+  roundTrips("\\begin{cases} 1 & 0 < x < 1 \\\\ 0 & \\text{otherwise} \\end{cases}");
+  roundTrips("0 < x \\le 1");
+  // A list of relations is not a chain.
+  renders("a < b, c", "a < b , c");
+});
+
+test("matrices and determinants", function () {
+  var pmatrix = "\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}";
+  var array = "\\begin{array}{cc|c} 1 & 2 & 3 \\end{array}";
+  var vmatrix = "\\begin{vmatrix} a & b \\\\ c & d \\end{vmatrix}";
+  parses(pmatrix, "(matrix (row (col 1 2) (col 3 4)))");
+  assert.strictEqual(parse(pmatrix).matrixType, "pmatrix");
+  assert.deepEqual(parse(array).columns, ["c", "c", "c"]);
+  assert.deepEqual(parse(array).columnBars, [2]);
+  parses(vmatrix, "(det (matrix (row (col a b) (col c d))))");
+  parses("\\det A", "(det A)");
+  renders(pmatrix, pmatrix);
+  renders(array, array);
+  renders(vmatrix, vmatrix);
+  fails("\\begin{bmatrix} 1 & 2 \\\\ 3 \\end{bmatrix}", 1011);
+  fails("\\begin{array}{cx} 1 & 2 \\end{array}", 1007);
+  fails("\\begin{matrix} 1 \\end{pmatrix}", 1010);
+});
+
+test("sets", function () {
+  parses("A \\setminus (B \\cup C)", "(setminus A (cup B C))");
+  parses("A \\cup B \\cap C", "(cup A (cap B C))");
+  parses("x \\in A \\cup B", "(in x (cup A B))");
+  parses("\\{x \\mid x > 0\\}", "(setbuilder x (gt x 0))");
+  parses("\\{x : x > 0\\}", "(setbuilder x (gt x 0))");
+  renders("A \\setminus (B \\cup C)", "A \\setminus (B \\cup C)");
+  renders("(A \\cup B) \\cap C", "(A \\cup B) \\cap C");
+  renders("\\{x : x > 0\\}", "\\{x \\mid x > 0\\}");
+  // Set literals keep their braces.
+  parses("\\{1\\} \\cup \\{2\\}", "(cup (set 1) (set 2))");
+  parses("x \\in \\{1,2,3\\}", "(in x (set 1 2 3))");
+  parses("\\{\\}", "(set)");
+  parses("\\{1, 2, \\ldots\\}", "(sequence 1 2 (ellipsis))");
+  parses("{1,2}", "(, 1 2)");
+  renders("x \\in \\{1,2,3\\}", "x \\in \\{1, 2, 3\\}");
+  renders("\\{1,2\\} \\cup \\{3\\}", "\\{1, 2\\} \\cup \\{3\\}");
+  roundTrips("\\{1\\} \\cup \\{2\\}");
+  roundTrips("x \\in \\{1,2,3\\}");
+  roundTrips("\\{1,2\\} \\cup \\{3\\}");
+  roundTrips("A \\setminus (B \\cup C)");
+  roundTrips("(A \\setminus B) \\setminus C");
+  roundTrips("A \\cup (B \\setminus C)");
+  roundTrips("(A \\cup B) \\cap C");
+  roundTrips("A \\subseteq B \\cup C");
+  roundTrips("\\{x \\mid x > 0\\}");
+  // A colon in a brace group is not a set-builder bar.
+  parses("{f : A}", "(, (colon f A))");
+});
+
+test("logic", function () {
+  parses("\\neg (p \\land q)", "(not (and p q))");
+  parses("p \\lor q \\land r", "(or p (and q r))");
+  parses("p \\implies q \\lor r", "(implies p (or q r))");
+  renders("\\neg (p \\land q)", "\\neg (p \\land q)");
+  renders("(p \\lor q) \\land r", "(p \\lor q) \\land r");
+  renders("\\neg \\neg p", "\\neg \\neg p");
+  roundTrips("\\neg (p \\land q)");
+  roundTrips("\\neg p \\land q");
+  roundTrips("(p \\lor q) \\land r");
+  roundTrips("p \\land (q \\lor r)");
+  roundTrips("(p \\implies q) \\land r");
+  roundTrips("p \\iff \\neg q");
+});
+
+test("function application", function () {
+  var env = {f: {type: "function"}, g: {type: "function"}, x: {op: Model.NUM, args: ["2"]}};
+  withEnv(env, function () {
+    parses("f(x)", "(apply f x)");
+    parses("g(x, y)", "(apply g x y)");
+    parses("f'(x)", "(apply (deriv f (none 0) 1) x)");
+    renders("g(x, y)", "g(x, y)");
+    roundTrips("f(x) + g(x, y)");
+    roundTrips("f'(x)");
+    // Declarations are not values; 'x' is.
+    assert.strictEqual(shape(Model.fold(parse("f(x)"), env)), "(apply f 2)");
+    assert.strictEqual(shape(Model.fold(parse("f'(x)"), env)), "(apply (deriv f (none 0) 1) 2)");
+  });
+  // Undeclared symbols are multiplied.
+  parses("h(x)", "(times h x)");
+});
+
+test("named functions", function () {
+  parses("\\sinh x", "(sinh x)");
+  parses("\\gcd(12, 18)", "(gcd 12 18)");
+  parses("\\max(a, b)", "(max a b)");
+  parses("\\min\\{a, b\\}", "(min a b)");
+  parses("\\operatorname{sgn}(x)", "(operatorname sgn x)");
+  parses("\\exp(x) + 1", "(+ (exp x) 1)");
+  renders("\\min\\{a, b\\}", "\\min(a, b)");
+  renders("\\det A", "\\det A");
+  roundTrips("\\gcd(12, 18)");
+  roundTrips("\\min\\{a, b\\}");
+  roundTrips("\\operatorname{sgn}(x)");
+  roundTrips("\\det A");
+  withOptions({allowInterval: true}, function () {
+    parses("\\max(a, b)", "(max a b)");
+  });
+});
+
+test("norms", function () {
+  parses("\\|v\\|", "(norm v)");
+  parses("2\\|v\\|", "(times 2 (norm v))");
+  parses("\\|2v\\| = 2\\|v\\|", "(= (norm (times 2 v)) (times 2 (norm v)))");
+  parses("a\\lVert v\\rVert", "(times a (norm v))");
+  parses("\\|v\\| \\|w\\|", "(times (norm v) (norm w))");
+  roundTrips("2\\|v\\|");
+  roundTrips("\\|2v\\| = 2\\|v\\|");
+  roundTrips("a\\lVert v\\rVert");
+});
+
+test("tuples and inner products", function () {
+  parses("\\langle a, b, c \\rangle", "(tuple a b c)");
+  parses("\\langle u | v \\rangle", "(innerproduct u v)");
+  parses("\\langle u, v \\rangle", "(tuple u v)");
+  renders("\\langle u | v \\rangle", "\\langle u | v \\rangle");
+  roundTrips("\\langle a, b, c \\rangle");
+  roundTrips("\\langle u | v \\rangle");
+  roundTrips("\\langle u, v \\rangle");
+  withOptions({allowInnerProduct: true}, function () {
+    parses("\\langle u, v \\rangle", "(innerproduct u v)");
+    renders("\\langle u, v \\rangle", "\\langle u | v \\rangle");
+    roundTrips("\\langle u, v \\rangle");
+  });
+});
+
+test("modular arithmetic", function () {
+  parses("17 \\bmod 5", "(mod 17 5)");
+  parses("2x \\bmod 5", "(mod (times 2 x) 5)");
+  parses("a \\equiv b \\pmod{n}", "(congruence a b n)");
+  parses("a \\equiv b \\mod n", "(congruence a b n)");
+  renders("(a+b) \\bmod n", "(a + b) \\bmod n");
+  renders("a \\bmod (b \\bmod n)", "a \\bmod (b \\bmod n)");
+  roundTrips("(a+b) \\bmod n");
+  roundTrips("a \\bmod (b \\bmod n)");
+  roundTrips("(a \\bmod b) \\bmod n");
+  roundTrips("a \\bmod n + 1");
+  roundTrips("a \\equiv b \\pmod{n}");
+  assert.strictEqual(shape(Model.fold(parse("-3 \\bmod 5"), {})), "2");
+  assert.strictEqual(shape(Model.fold(parse("123456789012345678901 \\bmod 10"), {})), "1");
+  assert.strictEqual(shape(Model.fold(parse("-123456789012345678901 \\bmod 7"), {})), "3");
+  // A congruence can end a chain of equalities.
+  parses("a \\equiv b \\equiv c \\pmod n",
+         "(, (equiv a b) (congruence b c n))");
+  renders("a \\equiv b \\equiv c \\pmod n", "a \\equiv b \\equiv c \\pmod{n}");
+  roundTrips("a \\equiv b \\equiv c \\pmod n");
+  roundTrips("a = b \\equiv c \\pmod n");
+});
+
+test("relations", function () {
+  parses("x \\leq y", "(le x y)");
+  parses("x \\geqslant y", "(ge x y)");
+  parses("a \\not= b", "(ne a b)");
+  parses("x \\not\\in A", "(notin x A)");
+  parses("a \\sim b", "(sim a b)");
+  parses("l \\parallel m", "(parallel l m)");
+  parses("x \\leqslant y \\leq z", "(, (le x y) (le y z))");
+  renders("x \\leq y", "x \\le y");
+  renders("x \\leqslant y \\leq z", "x \\le y \\le z");
+  ["a \\simeq b", "a \\cong b", "a \\propto b", "l \\perp m", "a \\ll b", "a \\gg b",
+   "a \\nless b", "a \\ngtr b", "a \\not= b", "x \\not\\in A", "a \\sim b \\sim c"].forEach(roundTrips);
+});
+
+test("infinity and ellipses", function () {
+  parses("\\infty", "(cst \"\\\\infty\")");
+  parses("-\\infty", "(- (cst \"\\\\infty\"))");
+  parses("1, 2, \\ldots, n", "(sequence 1 2 (ellipsis) n)");
+  parses("\\{1, 3, 5, \\ldots\\}", "(sequence 1 3 5 (ellipsis))");
+  parses("a_1, ..., a_n", "(sequence (var \"a\" 1) (ellipsis) (var \"a\" n))");
+  renders("\\{1, 3, 5, \\ldots\\}", "\\{1, 3, 5, \\ldots\\}");
+  roundTrips("1, 2, \\ldots, n");
+  roundTrips("\\{1, 3, 5, \\ldots\\}");
+  roundTrips("1 + 2 + \\cdots + n");
+  // An ellipsis in a product is set off by spaces.
+  parses("a_1 a_2 \\cdots a_n", "(times (var \"a\" 1) (var \"a\" 2) (ellipsis) (var \"a\" n))");
+  renders("a_1 a_2 \\cdots a_n", "a_{1}a_{2} \\ldots a_{n}");
+  renders("1…n", "1 \\ldots n");
+  roundTrips("a_1 a_2 \\cdots a_n");
+  roundTrips("1 \\cdots 9");
+  roundTrips("-\\infty");
+  withOptions({allowInterval: true}, function () {
+    parses("(-\\infty, 3]", "(interval (- (cst \"\\\\infty\")) 3)");
+    parses("[0, \\infty)", "(interval 0 (cst \"\\\\infty\"))");
+  });
+});
+
+test("accents", function () {
+  parses("\\hat{p}", "(var \"p\" (accent \"\\\\hat\"))");
+  parses("\\bar{x}_1", "(var \"x\" 1 (accent \"\\\\bar\"))");
+  parses("\\hat{x_1}", "(var \"x\" 1 (accent \"\\\\hat\"))");
+  parses("\\bar{x}_1^2", "(^ (var \"x\" 1 (accent \"\\\\bar\")) 2)");
+  parses("\\overrightarrow{AB}", "(ray A B)");
+  // A single token needs no braces.
+  parses("\\bar x", "(var \"x\" (accent \"\\\\bar\"))");
+  parses("\\hat x y", "(times (var \"x\" (accent \"\\\\hat\")) y)");
+  parses("\\dot x", "(deriv x t 1)");
+  parses("\\ddot x + 1", "(+ (deriv x t 2) 1)");
+  renders("\\bar x", "\\bar{x}");
+  renders("\\bar{x}_1", "\\bar{x_{1}}");
+  renders("\\widetilde{y}", "\\widetilde{y}");
+  assert.notStrictEqual(shape(parse("\\hat{p}")), shape(parse("p")));
+  ["\\hat{p}", "\\bar{x}_1", "\\tilde{a}_{n+1}", "\\check{c} + \\widehat{w}",
+   "\\overleftrightarrow{AB}"].forEach(roundTrips);
+});
+
+test("presentational wrappers", function () {
+  parses("\\boxed{x + 1}", "(boxed (+ x 1))");
+  parses("\\color{red}{x}", "(color x \"red\")");
+  parses("\\underbrace{x + x}_{2x}", "(underbrace (+ x x) (times 2 x))");
+  parses("x \\phantom{+1}", "(times x (phantom \"+1\"))");
+  parses("\\tfrac12", "(frac 1 2)");
+  parses("\\frac12", "(frac 1 2)");
+  parses("\\frac123", "(times (frac 1 2) 3)");
+  parses("\\dfrac a b", "(frac a b)");
+  parses("\\frac{1}{2}", "(frac 1 2)");
+  renders("\\boxed{x + 1}", "\\boxed{x + 1}");
+  ["\\boxed{x + 1}", "\\cancel{x}", "\\textcolor{blue}{y}", "\\underbrace{x + x}_{2x}",
+   "\\tfrac12", "\\cfrac{1}{x}"].forEach(roundTrips);
+  withOptions({stripWrappers: true}, function () {
+    renders("\\boxed{x + 1}", "x + 1");
+    renders("x \\phantom{+1}", "x");
+    renders("1 + \\phantom{0}2", "1 + 2");
+    assert.strictEqual(shape(parse(render(parse("x \\times \\phantom{1}")))), "x");
+  });
+  ["\\boxed{x}", "\\cancel{x}", "\\color{red}{x}", "x \\phantom{+1}", "\\phantom{0}x"].forEach(function (src) {
+    assert.strictEqual(shape(Model.fold(parse(src), {})), "x", src);
+  });
+  assert.strictEqual(JSON.stringify(Model.fold(parse("x \\phantom{1} + y"), {})),
+                     JSON.stringify({op: "+", args: [{op: "var", args: ["x"]}, {op: "var", args: ["y"]}]}));
+});
+
+test("reactions", function () {
+  var chem = {Au: {mass: 197}, H: {mass: 1}, O: {mass: 16}, N: {mass: 14}, Cu: {mass: 63.5}, S: {mass: 32},
+              Na: {mass: 23}, Cl: {mass: 35.5}, Ca: {mass: 40}};
+  withEnv(chem, function () {
+    parses("2H_2(g) + O_2(g) \\rightarrow 2H_2O(l)",
+           "(reaction (, (species 2 (var \"H\" 2) g) (species 1 (var \"O\" 2) g)) " +
+           "(, (species 2 (times (var \"H\" 2) O) l)) (none 0))");
+    parses("CuSO_4 \\cdot 5H_2O \\rightarrow CuSO_4", "(reaction (, (species 1 " +
+           "(hydrate (times Cu S (var \"O\" 4)) 5 (times (var \"H\" 2) O)) (none 0))) " +
+           "(, (species 1 (times Cu S (var \"O\" 4)) (none 0))) (none 0))");
+    assert.strictEqual(parse("N_2 + 3H_2 \\rightleftharpoons 2NH_3").arrow, "\\rightleftharpoons");
+    parses("A \\xrightarrow{\\Delta} B", "(reaction (, (species 1 A (none 0))) " +
+           "(, (species 1 B (none 0))) \\Delta)");
+    ["2H_2(g) + O_2(g) \\rightarrow 2H_2O(l)", "N_2 + 3H_2 \\rightleftharpoons 2NH_3",
+     "A \\xrightarrow{\\Delta} B", "H_2 -> 2H"].forEach(roundTrips);
+    // Charges and group subscripts
+    renders("NaCl(aq) \\rightarrow Na^+(aq) + Cl^-(aq)",
+            "NaCl(aq) \\rightarrow {Na^{+}}(aq) + {Cl^{-}}(aq)");
+    renders("H_2SO_4 \\rightarrow 2H^+ + SO_4^{2-}",
+            "H_{2}SO_{4} \\rightarrow 2{H^{+}} + S{O_{4}^{2-}}");
+    renders("Ca(OH)_2 + 2HCl \\rightarrow CaCl_2 + 2H_2O",
+            "Ca(OH)_{2} + 2HCl \\rightarrow CaCl_{2} + 2H_{2}O");
+    ["NaCl(aq) \\rightarrow Na^+(aq) + Cl^-(aq)", "H_2SO_4 \\rightarrow 2H^+ + SO_4^{2-}",
+     "Ca(OH)_2 + 2HCl \\rightarrow CaCl_2 + 2H_2O"].forEach(roundTrips);
+  });
+  // Outside chem mode these are not reaction arrows.
+  parses("A \\leftrightarrow B", "(times A \\leftrightarrow B)");
+  parses("x \\xrightarrow{f} y", "(times x \\xrightarrow f y)");
+  parses("A \\rightleftharpoons B", "(times A \\rightleftharpoons B)");
+  parses("x \\rightarrow y", "(-> x y)");
+});
+
+test("math fonts", function () {
+  parses("\\mathbf{\\frac{1}{2}}", "(frac 1 2)");
+  parses("\\mathrm{m/s^{2}}", "(frac m (^ s 2))");
+  parses("\\mathbf{\\{a\\}}", "(set a)");
+  parses("\\mathbb{R}", "(cst \"\\\\mathbb{R}\")");
+  // A sign on a number set is not an exponent.
+  parses("\\mathbb{Z}^+", "(^ (cst \"\\\\mathbb{Z}\") (+ 1))");
+  parses("\\mathbb{R}^{-}", "(^ (cst \"\\\\mathbb{R}\") (- 1))");
+  renders("\\mathbb{Z}^+", "{\\mathbb{Z}^{+}}");
+  renders("\\mathbb{R}^-", "{\\mathbb{R}^{-}}");
+  roundTrips("x \\in \\mathbb{R}^{-}");
+  assert.strictEqual(parse("\\mathbf{\\frac{1}{2}}").font, "mathbf");
+  renders("\\mathbf{v}", "\\mathbf{v}");
+  renders("\\phantom{\\frac{1}{2}}", "\\phantom{\\frac{1}{2}}");
+  ["\\mathbf{v} + \\mathit{w}", "\\mathbf{\\frac{1}{2}}", "\\mathrm{m/s^{2}}",
+   "5\\,\\mathrm{m/s^{2}}", "\\mathcal{L}"].forEach(roundTrips);
+  fails("\\mathbf{a", 1009);
+});
+
+test("unicode input", function () {
+  parses("2 × 3", "(times 2 3)");
+  parses("5 − 3", "(+ 5 -3)");
+  parses("x ≤ 1", "(le x 1)");
+  parses("a ≠ b", "(ne a b)");
+  parses("πr²", "(times \\pi (^ r 2))");
+  parses("√2", "(^ 2 (^ 2 -1))");
+  parses("½", "(frac 1 2)");
+  parses("∞", "(cst \"\\\\infty\")");
+  parses("x₁", "(var \"x\" 1)");
+  parses("é", "é");
+  renders("x ∈ A ∪ B", "x \\in A \\cup B");
+  ["2 × 3", "x ≥ 1", "a ≠ b", "x ∈ A ∪ B", "½", "θ", "x₁"].forEach(roundTrips);
+});
+
+test("symbols", function () {
+  parses("\\alpha + \\theta", "(+ \\alpha \\theta)");
+  assert.strictEqual(Model.symbols["\\varphi"].variantOf, "\\phi");
+  assert.strictEqual(Model.symbols["\\hbar"].category, "letterlike");
+  assert.strictEqual(Model.symbols["\\theta"].unicode, "\u03b8");
+  assert.notStrictEqual(shape(parse("\\varphi")), shape(parse("\\phi")));
+  withOptions({ignoreSymbolVariants: true}, function () {
+    assert.strictEqual(shape(parse("\\varphi")), shape(parse("\\phi")));
+    parses("\\varepsilon", "\\epsilon");
+  });
+  ["\\alpha + \\theta", "\\varphi", "\\hbar \\omega", "\\ell", "\\aleph"].forEach(roundTrips);
+});
+
+test("complex numbers", function () {
+  parses("3 + 2i", "(+ 3 (times 2 i))");
+  withOptions({setImaginaryUnit: "i"}, function () {
+    parses("3 + 2i", "(+ 3 (times 2 (cst \"i\")))");
+    parses("re^{i\\theta}", "(times r (^ e (times (cst \"i\") \\theta)))");
+    parses("r\\,\\mathrm{cis}\\,\\theta", "(times r (cis \\theta))");
+    parses("\\Re(z) + \\Im z", "(+ (re z) (im z))");
+    parses("\\overline{z}", "(conjugate z)");
+    parses("x_i", "(var \"x\" i)");
+    // The index of a sum or product is a variable.
+    parses("\\sum_{i=1}^n i^2", "(sum (= i 1) n (^ i 2))");
+    parses("\\sum_{k=1}^n k i", "(sum (= k 1) n (times k (cst \"i\")))");
+    parses("\\sum_{i=1}^n i + i", "(sum (= i 1) n (+ i i))");
+    ["3 + 2i", "\\Re(z) + \\Im(z)", "|z|", "\\overline{z}", "x_i"].forEach(roundTrips);
+  });
+  withOptions({setImaginaryUnit: "j"}, function () {
+    parses("3 + 2j", "(+ 3 (times 2 (cst \"j\")))");
+    parses("\\prod_{j=1}^{n} j", "(prod (= j 1) n j)");
+  });
+});
+
+test("geometry", function () {
+  parses("\\angle ABC", "(angle A B C)");
+  parses("m\\angle A", "(measure (angle A))");
+  parses("\\triangle ABC \\cong \\triangle DEF", "(cong (triangle A B C) (triangle D E F))");
+  parses("\\overline{AB} \\parallel \\overline{CD}", "(parallel (segment A B) (segment C D))");
+  parses("\\overline{12}", "(overline 12)");
+  parses("\\overleftrightarrow{AB} \\perp \\overrightarrow{CD}", "(perp (line A B) (ray C D))");
+  parses("30^\\circ 15' 20''", "(dms 30 15 20)");
+  // Primed points are points, not derivatives.
+  parses("\\triangle A'B'C'", "(triangle A' B' C')");
+  parses("\\angle A'B'C'", "(angle A' B' C')");
+  parses("\\overline{A'B'}", "(segment A' B')");
+  parses("\\overrightarrow{AB''}", "(ray A B'')");
+  parses("\\overline{f'}", "(overline (deriv f (none 0) 1))");
+  renders("30^\\circ 15' 20''", "30^{\\circ} 15' 20''");
+  ["\\angle ABC", "m\\angle A", "\\angle 1", "\\triangle ABC \\sim \\triangle DEF",
+   "\\overline{AB} \\parallel \\overline{CD}", "\\overleftrightarrow{AB}",
+   "30^\\circ 15' 20''", "\\triangle ABC \\sim \\triangle A'B'C'", "\\overline{A'B'}",
+   "\\overleftrightarrow{A'B'}"].forEach(roundTrips);
+});
+
+test("macros", function () {
+  parses("\\newcommand{\\R}{\\mathbb{R}} x \\in \\R", "(in x (cst \"\\\\mathbb{R}\"))");
+  parses("\\DeclareMathOperator{\\sgn}{sgn} \\sgn(x)", "(operatorname sgn x)");
+  parses("\\def\\sq#1{#1^2} \\sq{x}", "(^ x 2)");
+  parses("\\newcommand{\\f}[2]{#1 + #2} \\f{a}{b}", "(+ a b)");
+  roundTrips("\\DeclareMathOperator{\\sgn}{sgn} \\sgn(x)");
+  fails("\\newcommand{\\a}{\\a} \\a", 1012);
+  withEnv({}, function () {
+    Model.defineMacro("\\norm", "\\left|#1\\right|", 1);
+    parses("\\norm{x}", "(abs x)");
+  });
+  // Macros defined in an environment go away with it.
+  parses("\\norm", "\\norm");
+});
+
+test("comments", function () {
+  var src = "x = 5\\% % five percent\n+ 1";
+  parses(src, "(= x (+ (% 5) 1))");
+  assert.strictEqual(parse(src).isCommentMode, true);
+  renders(src, "x = 5\\% + 1");
+  renders("5%", "5%");
+  roundTrips(src);
+  roundTrips("5%");
+  withOptions({allowComments: true}, function () {
+    parses("x % comment", "x");
+    renders("5\\%", "5\\%");
+  });
+  withOptions({allowComments: false}, function () {
+    parses("5%\n", "(% 5)");
+  });
+});
+
+test("number formats", function () {
+  parses("2e-1", "(+ (times 2 e) -1)");
+  parses("0x1F", "(times 0 x 1 F)");
+  parses("1.2 \\times 10^{3}", "(times 1.2 (^ 10 3))");
+  assert.strictEqual(parse("1.2 \\times 10^{3}").isScientific, true);
+  renders("1.2 \\times 10^{3}", "1.2 \\times {10^{3}}");
+  roundTrips("1.2 \\times 10^{3}");
+  withOptions({allowENotation: true, allowBasePrefix: true}, function () {
+    parses("1.2e-3", "(times 1.2 (^ 10 -3))");
+    parses("6.02E23", "(times 6.02 (^ 10 23))");
+    assert.strictEqual(parse("1.2e-3").numberFormat, "enotation");
+    parses("0x1F", "31");
+    parses("0b1010", "10");
+    parses("0o17", "15");
+    parses("0xFFFFFFFFFFFFFFFFF", "295147905179352825855");
+    fails("0b102", 1014);
+    fails("0o8", 1014);
+    fails("0x1Fg", 1014);
+    parses("0x + 1", "(+ (times 0 x) 1)");
+    assert.strictEqual(parse("0x1F").numberFormat, "hexadecimal");
+    parses("1.2e3\\,\\mathrm{kg}", "(quantity (times 1.2 (^ 10 3)) (, (^ kg 1)) (,))");
+    ["1.2e-3", "6.02E23 + 1", "1.2e3\\,\\mathrm{kg}", "0x1F"].forEach(roundTrips);
+  });
+});
+
+test("quantities", function () {
+  parses("5\\,\\mathrm{m/s^2}", "(quantity 5 (, (^ m 1)) (, (^ s 2)))");
+  parses("3\\mathrm{kg}", "(quantity 3 (, (^ kg 1)) (,))");
+  // Upright e, i and d are not units.
+  parses("3\\mathrm{e}", "(times 3 e)");
+  parses("3\\mathrm{i}", "(times 3 i)");
+  parses("3\\mathrm{d}x", "(times 3 d x)");
+  parses("5 m", "(times 5 m)");
+  // Letter runs in an upright group are unit names.
+  parses("5\\,\\mathrm{kg \\cdot m/s^2}", "(quantity 5 (, (^ kg 1) (^ m 1)) (, (^ s 2)))");
+  parses("9.8\\,\\mathrm{m\\,s^{-2}}", "(quantity 9.8 (, (^ m 1)) (, (^ s 2)))");
+  parses("5\\mathrm{N\\cdot m}", "(quantity 5 (, (^ N 1) (^ m 1)) (,))");
+  renders("5\\,\\mathrm{m/s^2}", "5\\,\\mathrm{m/s^{2}}");
+  renders("5\\,\\mathrm{kg \\cdot m/s^2}", "5\\,\\mathrm{kg\\,m/s^{2}}");
+  roundTrips("5\\,\\mathrm{kg \\cdot m/s^2}");
+  roundTrips("5\\mathrm{N\\cdot m}");
+  ["5\\,\\mathrm{m/s^2}", "3\\mathrm{kg}", "3\\mathrm{e}", "-5\\,\\mathrm{m}"].forEach(roundTrips);
+  var units = {m: {type: "unit"}, ft: {type: "unit"}, "in": {type: "unit"}, d: {type: "unit"}};
+  withEnv(units, function () {
+    parses("5 m", "(quantity 5 (, (^ m 1)) (,))");
+    parses("3\\,\\mathrm{d}", "(quantity 3 (, (^ d 1)) (,))");
+    parses("3 ft 4 in", "(+ (quantity 3 (, (^ ft 1)) (,)) (quantity 4 (, (^ in 1)) (,)))");
+    assert.strictEqual(parse("3 ft 4 in").isCompoundQuantity, true);
+    ["5 m", "3 ft 4 in"].forEach(roundTrips);
+  });
+});
+
+test("currency", function () {
+  parses("\\$5", "(currency 5 \"USD\")");
+  parses("-\\$5", "(currency -5 \"USD\")");
+  parses("5 USD", "(currency 5 \"USD\")");
+  parses("5\\,\\mathrm{USD}", "(currency 5 \"USD\")");
+  parses("£3.50", "(currency 3.50 \"GBP\")");
+  parses("$x", "(times $ x)");
+  renders("5 USD", "5\\,\\mathrm{USD}");
+  ["\\$5", "-\\$5", "5 USD", "20\\,\\mathrm{EUR}", "¥100", "5\\,\\mathrm{m}"].forEach(roundTrips);
+  withOptions({setThousandsSeparator: ["."], setDecimalSeparator: ","}, function () {
+    parses("1.234,56 €", "(currency 1234.56 \"EUR\")");
+    renders("1.234,56 €", "1.234,56\\,\\euro");
+    renders("12,5", "12,5");
+    ["1.234,56 €", "€1.000", "12,5"].forEach(roundTrips);
+  });
+  withOptions({allowThousandsSeparator: true}, function () {
+    renders("1,234,567", "1,234,567");
+    roundTrips("\\$1,234.50");
+  });
+});
+
+var failures = 0;
+tests.forEach(function (t) {
+  try {
+    t.fn();
+    console.log("ok - " + t.name);
+  } catch (e) {
+    failures++;
+    console.log("not ok - " + t.name + "\n  " + e.message);
+  }
+});
+console.log(tests.length - failures + " of " + tests.length + " passed");
+process.exitCode = failures ? 1 : 0;